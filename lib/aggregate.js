@@ -0,0 +1,158 @@
+const { QueryError, toMongoPath, toList } = require('./query');
+const { isPresetPath, lookupPresetStages } = require('./presetSearch');
+
+const DEFAULT_GROUP_LIMIT = 1000;
+const MAX_GROUP_LIMIT = 10000;
+
+// Distinct values returned per group and field (the full count is always
+// returned; past the limit the listed values are an arbitrary subset)
+const DISTINCT_VALUE_LIMIT = 100;
+
+/**
+ * Compare values for sorting distinct lists (numerically when both are numbers)
+ */
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Group objects matching `query` by one or more properties.
+ *
+ * For each group returns the object count, the number of presets it spans,
+ * min/max/avg of the `numeric` fields (non-numeric values are ignored) and
+ * the distinct values of the `distinct` fields.
+ */
+async function aggregateObjects(
+  collection,
+  { query, groupBy, numeric, distinct, limit },
+) {
+  const groupFields = toList(groupBy);
+  const numericFields = toList(numeric);
+  const distinctFields = toList(distinct);
+  const groupLimit = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_GROUP_LIMIT, 1),
+    MAX_GROUP_LIMIT,
+  );
+
+  if (groupFields.length === 0 && numericFields.length === 0 && distinctFields.length === 0) {
+    throw new QueryError('Pick at least one group-by, numeric or distinct field');
+  }
+
+  // Accumulator names can't contain dots, so fields are referenced by index
+  const fieldRef = (path) => `$${toMongoPath(path)}`;
+
+  // Grouping or summarizing by preset-level properties joins them in
+  const fields = [...groupFields, ...numericFields, ...distinctFields];
+  const matchStages = [{ $match: query }];
+  if (fields.some((field) => isPresetPath(toMongoPath(field)))) {
+    matchStages.push(...lookupPresetStages());
+  }
+
+  const group = {
+    _id:
+      groupFields.length > 0
+        ? Object.fromEntries(groupFields.map((field, i) => [`g${i}`, fieldRef(field)]))
+        : null,
+    count: { $sum: 1 },
+    // The same file name in two sources is two presets
+    files: { $addToSet: { source: '$source', fileName: '$fileName' } },
+  };
+
+  numericFields.forEach((field, i) => {
+    const numberOnly = {
+      $cond: [{ $isNumber: fieldRef(field) }, fieldRef(field), null],
+    };
+    group[`n${i}_min`] = { $min: numberOnly };
+    group[`n${i}_max`] = { $max: numberOnly };
+    group[`n${i}_avg`] = { $avg: numberOnly };
+  });
+
+  distinctFields.forEach((field, i) => {
+    group[`d${i}`] = { $addToSet: fieldRef(field) };
+  });
+
+  // Cap distinct lists server-side, keeping the full count
+  const trimmed = { presetCount: { $size: '$files' } };
+  distinctFields.forEach((field, i) => {
+    trimmed[`d${i}_count`] = { $size: `$d${i}` };
+    trimmed[`d${i}`] = { $slice: [`$d${i}`, DISTINCT_VALUE_LIMIT] };
+  });
+
+  const docs = await collection
+    .aggregate(
+      [
+        ...matchStages,
+        { $group: group },
+        { $addFields: trimmed },
+        { $project: { files: 0 } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: groupLimit },
+      ],
+      { allowDiskUse: true },
+    )
+    .toArray();
+
+  const [totals = { groupCount: 0, totalCount: 0 }] = await collection
+    .aggregate(
+      [
+        ...matchStages,
+        { $group: { _id: group._id, count: { $sum: 1 } } },
+        {
+          $group: {
+            _id: null,
+            groupCount: { $sum: 1 },
+            totalCount: { $sum: '$count' },
+          },
+        },
+      ],
+      { allowDiskUse: true },
+    )
+    .toArray();
+
+  const groups = docs.map((doc) => {
+    const values = {};
+    groupFields.forEach((field, i) => {
+      values[field] = doc._id ? doc._id[`g${i}`] ?? null : null;
+    });
+
+    const stats = {};
+    numericFields.forEach((field, i) => {
+      stats[field] = {
+        min: doc[`n${i}_min`],
+        max: doc[`n${i}_max`],
+        avg: doc[`n${i}_avg`],
+      };
+    });
+
+    const distinctValues = {};
+    distinctFields.forEach((field, i) => {
+      distinctValues[field] = {
+        count: doc[`d${i}_count`],
+        values: doc[`d${i}`].filter((value) => value !== null).sort(compareValues),
+      };
+    });
+
+    return {
+      values,
+      count: doc.count,
+      presetCount: doc.presetCount,
+      stats,
+      distinct: distinctValues,
+    };
+  });
+
+  return {
+    groupBy: groupFields,
+    numeric: numericFields,
+    distinct: distinctFields,
+    groupCount: totals.groupCount,
+    totalCount: totals.totalCount,
+    truncated: totals.groupCount > groups.length,
+    groups,
+  };
+}
+
+module.exports = {
+  aggregateObjects,
+};
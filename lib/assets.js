@@ -0,0 +1,417 @@
+const path = require('path');
+const { DEFAULT_SOURCE, openSource } = require('./sources');
+const { walkProperties } = require('./extract');
+const { escapeRegex } = require('./query');
+const { mapWithConcurrency } = require('./concurrency');
+
+// References checked at once, and how long an HTTP check may take
+const ASSET_CHECK_CONCURRENCY = parseInt(process.env.ASSET_CHECK_CONCURRENCY, 10) || 16;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+// Absolute URLs anywhere in a string (also inside CSS url(...) or HTML)
+const URL_PATTERN = /\b(?:https?|s3):\/\/[^\s"'<>()\\]+/gi;
+
+// A whole string that looks like a bucket key of an asset, e.g. "img/a.png"
+const ASSET_KEY_PATTERN =
+  /^\/?[\w\-./%@+]+\.(?:png|jpe?g|gif|svg|webp|avif|bmp|ico|tiff?|woff2?|ttf|otf|eot|mp4|webm|mov|mp3|wav|ogg|pdf)$/i;
+
+// Property names holding assets: image/media sources, background and
+// overlay images, patterns and font files. URLs in other properties
+// (e.g. links typed into a textbox) are content, not assets.
+const ASSET_PROPERTY_PATTERN =
+  /^(?:src|source|url|href|poster|pattern|\w*image\w*|\w*(?:font|media|video|audio)(?:url|src|file))$/i;
+
+// Report order: what needs fixing first
+const STATUS_ORDER = ['missing', 'error', 'unused', 'unchecked', 'ok'];
+
+/**
+ * Raised when an asset check is asked for while one runs (reported as 409)
+ */
+class AssetCheckRunningError extends Error {
+  constructor() {
+    super('An asset check is already running');
+    this.name = 'AssetCheckRunningError';
+  }
+}
+
+/**
+ * Where referenced assets live, from the environment:
+ * - ASSET_BUCKET: bucket that relative keys and ASSET_BASE_URLS point into
+ *   (default: the default source's bucket)
+ * - ASSET_BASE_URLS: comma-separated URL prefixes serving keys from that
+ *   bucket, e.g. a CDN domain (its S3 URLs are always recognized)
+ * - ASSET_PREFIX: part of the bucket holding the asset library; only
+ *   checked for unused assets when set
+ * - ASSET_DIRECTORY: check keys against this directory instead of S3
+ *   (resolved like local source directories)
+ * - ASSET_HTTP_CHECK=false: leave other http(s) URLs unchecked
+ */
+function getAssetConfig() {
+  const bucket = process.env.ASSET_BUCKET || DEFAULT_SOURCE.bucket;
+  const baseUrls = (process.env.ASSET_BASE_URLS || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((url) => (url.endsWith('/') ? url : `${url}/`));
+
+  return {
+    bucket,
+    baseUrls,
+    prefix: process.env.ASSET_PREFIX || '',
+    directory: process.env.ASSET_DIRECTORY || null,
+    httpCheck: process.env.ASSET_HTTP_CHECK !== 'false',
+  };
+}
+
+/**
+ * Asset URLs and keys in one object's asset properties (or anything
+ * nested in one, e.g. backgroundImage.src)
+ */
+function findAssetUrls(obj) {
+  const found = [];
+
+  walkProperties(
+    obj,
+    (value, property, inAsset) => {
+      const isAsset = inAsset || ASSET_PROPERTY_PATTERN.test(property.split('.').pop());
+      if (!isAsset || typeof value !== 'string') return isAsset;
+
+      const text = value.trim();
+      const urls = text.match(URL_PATTERN);
+      if (urls) {
+        for (const url of urls) found.push({ property, url: url.replace(/[.,;]+$/, '') });
+      } else if (ASSET_KEY_PATTERN.test(text)) {
+        found.push({ property, url: text });
+      }
+      return isAsset;
+    },
+    false,
+  );
+
+  return found;
+}
+
+/**
+ * Asset references in a file's extracted objects: one entry per object,
+ * property (dot-path) and URL
+ */
+function extractAssetRefs(objects) {
+  const refs = [];
+
+  for (const obj of objects) {
+    const found = findAssetUrls(obj);
+
+    const seen = new Set();
+    for (const { property, url } of found) {
+      const key = `${property}\n${url}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      refs.push({
+        source: obj.source,
+        fileName: obj.fileName,
+        objectId: obj._id,
+        id: obj.id,
+        name: obj.name,
+        type: obj.type,
+        conrolTitle: obj.conrolTitle,
+        path: obj.tree ? obj.tree.path : undefined,
+        property,
+        url,
+      });
+    }
+  }
+
+  return refs;
+}
+
+/**
+ * Decode the key part of a URL (query and fragment dropped)
+ */
+function decodeKey(text) {
+  const key = text.replace(/[?#].*$/, '');
+  try {
+    return decodeURIComponent(key);
+  } catch (error) {
+    return key;
+  }
+}
+
+/**
+ * Work out where a referenced asset lives: a key in the asset bucket
+ * (`store`), a key in another bucket (`s3`) or any other URL (`http`)
+ */
+function resolveAsset(url, config) {
+  const toBucket = (bucket, key) =>
+    bucket === config.bucket ? { kind: 'store', key } : { kind: 's3', bucket, key };
+
+  const s3Url = url.match(/^s3:\/\/([^/]+)\/(.+)$/i);
+  if (s3Url) return toBucket(s3Url[1], s3Url[2]);
+
+  for (const base of config.baseUrls) {
+    if (url.startsWith(base)) return { kind: 'store', key: decodeKey(url.slice(base.length)) };
+  }
+
+  // Virtual-hosted (bucket.s3.region.amazonaws.com/key) and path-style URLs
+  const virtualHosted = url.match(/^https?:\/\/([^/]+?)\.s3(?:[.-][a-z0-9-]+)?\.amazonaws\.com\/(.+)$/i);
+  if (virtualHosted) return toBucket(virtualHosted[1], decodeKey(virtualHosted[2]));
+  const pathStyle = url.match(/^https?:\/\/s3(?:[.-][a-z0-9-]+)?\.amazonaws\.com\/([^/]+)\/(.+)$/i);
+  if (pathStyle) return toBucket(pathStyle[1], decodeKey(pathStyle[2]));
+
+  if (/^https?:\/\//i.test(url)) return { kind: 'http', url };
+
+  return { kind: 'store', key: decodeKey(url.replace(/^\/+/, '')) };
+}
+
+/**
+ * Open the asset bucket (or its local stand-in), optionally below a prefix
+ */
+function openAssetStore(config, prefix = '') {
+  if (config.directory) {
+    return openSource({
+      name: 'assets',
+      type: 'local',
+      directory: path.join(config.directory, prefix),
+      include: ['**'],
+    });
+  }
+  return openSource({
+    name: 'assets',
+    type: 's3',
+    bucket: config.bucket,
+    prefix,
+    include: ['**'],
+  });
+}
+
+/**
+ * Check that one resolved asset exists: HeadObject (via the source's
+ * stat()) for bucket keys, a HEAD request for other URLs
+ */
+async function checkAsset(target, config, stores) {
+  try {
+    if (target.kind === 'http') {
+      if (!config.httpCheck) return { status: 'unchecked' };
+
+      let res = await fetch(target.url, {
+        method: 'HEAD',
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+      });
+      // Some servers only answer GET
+      if (res.status === 405 || res.status === 501) {
+        res = await fetch(target.url, { signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+        if (res.body) await res.body.cancel();
+      }
+
+      const status = res.ok ? 'ok' : [404, 410].includes(res.status) ? 'missing' : 'error';
+      return { status, httpStatus: res.status };
+    }
+
+    const storeKey = target.kind === 'store' ? 'store' : target.bucket;
+    if (!stores.has(storeKey)) {
+      stores.set(
+        storeKey,
+        target.kind === 'store'
+          ? openAssetStore(config)
+          : openSource({ name: target.bucket, type: 's3', bucket: target.bucket, prefix: '', include: ['**'] }),
+      );
+    }
+
+    const stat = await stores.get(storeKey).stat(target.key);
+    return stat ? { status: 'ok', lastModified: stat.lastModified } : { status: 'missing' };
+  } catch (error) {
+    return { status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Verify the referenced assets and store the results in `assets`, one
+ * entry per URL with its reference counts.
+ *
+ * By default only references not checked yet (or that errored) are
+ * checked, which is what runs after each sync. `all` re-checks every
+ * reference and, with ASSET_PREFIX set, lists the asset library to find
+ * assets no preset uses.
+ *
+ * @returns {Promise<object>} number of assets checked and counts by status
+ */
+async function checkAssets(db, { all = false } = {}) {
+  const config = getAssetConfig();
+  const checkedAt = new Date().toISOString();
+
+  const refs = await db
+    .collection('assetRefs')
+    .aggregate(
+      [
+        {
+          $group: {
+            _id: '$url',
+            refCount: { $sum: 1 },
+            files: { $addToSet: { source: '$source', fileName: '$fileName' } },
+          },
+        },
+        { $project: { refCount: 1, presetCount: { $size: '$files' } } },
+      ],
+      { allowDiskUse: true },
+    )
+    .toArray();
+
+  const known = new Map(
+    (
+      await db
+        .collection('assets')
+        .find({ status: { $ne: 'unused' } })
+        .project({ status: 1 })
+        .toArray()
+    ).map((asset) => [asset._id, asset.status]),
+  );
+
+  const stores = new Map();
+  const ops = await mapWithConcurrency(refs, ASSET_CHECK_CONCURRENCY, async (ref) => {
+    const counts = { refCount: ref.refCount, presetCount: ref.presetCount, seenAt: checkedAt };
+    if (!all && known.has(ref._id) && known.get(ref._id) !== 'error') {
+      return { updateOne: { filter: { _id: ref._id }, update: { $set: counts } } };
+    }
+
+    const target = resolveAsset(ref._id, config);
+    const result = await checkAsset(target, config, stores);
+    return {
+      replaceOne: {
+        filter: { _id: ref._id },
+        replacement: { _id: ref._id, ...target, ...result, ...counts, checkedAt },
+        upsert: true,
+      },
+    };
+  });
+
+  if (ops.length > 0) {
+    await db.collection('assets').bulkWrite(ops, { ordered: false });
+  }
+  // Nothing references these any more
+  await db
+    .collection('assets')
+    .deleteMany({ status: { $ne: 'unused' }, seenAt: { $ne: checkedAt } });
+
+  if (all && config.prefix) {
+    const referenced = new Set();
+    for (const ref of refs) {
+      const target = resolveAsset(ref._id, config);
+      if (target.kind === 'store') referenced.add(target.key);
+    }
+
+    const library = await openAssetStore(config, config.prefix).list();
+    const unused = library
+      .map((file) => ({ ...file, key: config.prefix + file.fileName }))
+      .filter((file) => !referenced.has(file.key))
+      // Keyed like a reference to the key would be
+      .map((file) => ({
+        _id: file.key,
+        kind: 'store',
+        key: file.key,
+        status: 'unused',
+        lastModified: file.lastModified,
+        refCount: 0,
+        presetCount: 0,
+        checkedAt,
+      }));
+
+    await db.collection('assets').deleteMany({ status: 'unused' });
+    for (let start = 0; start < unused.length; start += 1000) {
+      await db.collection('assets').insertMany(unused.slice(start, start + 1000), { ordered: false });
+    }
+  }
+
+  const checked = ops.filter((op) => op.replaceOne).length;
+  return { checked, counts: await countAssetsByStatus(db) };
+}
+
+// The asset check running in this process, and whether a background check
+// was asked for while it ran (its references may be newer than the ones read)
+let activeCheck = null;
+let checkAgain = false;
+
+/**
+ * Run checkAssets() unless a check is already running: each check removes
+ * the entries it didn't see, so overlapping ones delete each other's results
+ *
+ * @throws {AssetCheckRunningError} when a check is running
+ */
+async function runAssetCheck(db, options) {
+  if (activeCheck) throw new AssetCheckRunningError();
+
+  activeCheck = checkAssets(db, options);
+  try {
+    return await activeCheck;
+  } finally {
+    activeCheck = null;
+    if (checkAgain) runAssetCheckInBackground(db);
+  }
+}
+
+/**
+ * Check new asset references without waiting for it (after a sync job,
+ * once its lock is released, so slow or unreachable hosts don't hold up
+ * syncing). If a check is running, another runs after it.
+ */
+function runAssetCheckInBackground(db) {
+  if (activeCheck) {
+    checkAgain = true;
+    return;
+  }
+
+  checkAgain = false;
+  runAssetCheck(db).catch((error) => {
+    console.error('Asset check failed:', error.message);
+  });
+}
+
+async function countAssetsByStatus(db) {
+  const counts = Object.fromEntries(STATUS_ORDER.map((status) => [status, 0]));
+  const groups = await db
+    .collection('assets')
+    .aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    .toArray();
+  for (const { _id, count } of groups) counts[_id] = count;
+  return counts;
+}
+
+/**
+ * The asset report: broken and unused assets first, then by how many
+ * presets use them
+ *
+ * @param {object} options
+ * @param {string} options.status - only assets with this status
+ * @param {string} options.search - URL/key contains (case-insensitive)
+ */
+async function getAssetReport(db, { status, search, limit = 1000 } = {}) {
+  const match = {};
+  if (status) match.status = status;
+  if (search) match._id = { $regex: escapeRegex(search), $options: 'i' };
+
+  const assets = await db
+    .collection('assets')
+    .aggregate(
+      [
+        { $match: match },
+        { $addFields: { statusRank: { $indexOfArray: [STATUS_ORDER, '$status'] } } },
+        { $sort: { statusRank: 1, presetCount: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { statusRank: 0, seenAt: 0 } },
+      ],
+      { allowDiskUse: true },
+    )
+    .toArray();
+
+  return { counts: await countAssetsByStatus(db), assets };
+}
+
+module.exports = {
+  extractAssetRefs,
+  resolveAsset,
+  getAssetConfig,
+  AssetCheckRunningError,
+  checkAssets,
+  runAssetCheck,
+  runAssetCheckInBackground,
+  getAssetReport,
+};
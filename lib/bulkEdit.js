@@ -0,0 +1,398 @@
+const { ObjectId } = require('mongodb');
+const { QueryError, buildQuery, toMongoPath } = require('./query');
+const { BOOKKEEPING_FIELDS, OWN_FIELDS_KEY, extractObjects } = require('./extract');
+const { diffObjects } = require('./diff');
+const { SourceConflictError, openSource } = require('./sources');
+const { getSourceProfile } = require('./sync');
+const { drainSyncQueue } = require('./scheduler');
+const { mapWithConcurrency } = require('./concurrency');
+const { resolvePresetFilters } = require('./presetSearch');
+
+const OPERATIONS = new Set(['set', 'replace', 'delete']);
+
+// Group children are presets' structure, bookkeeping fields (and where
+// properties named like them are kept) aren't in the files and `preset.*`
+// paths mean preset-level properties elsewhere
+const RESERVED_PROPERTIES = new Set(['objects', 'preset', OWN_FIELDS_KEY, ...BOOKKEEPING_FIELDS]);
+
+// Path segments that would reach into Object.prototype instead of the preset
+const UNSAFE_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Presets one edit may touch; more is almost certainly a too-broad search
+const MAX_BULK_EDIT_FILES = parseInt(process.env.BULK_EDIT_MAX_FILES, 10) || 1000;
+
+// Files read, backed up and written at once when applying
+const APPLY_CONCURRENCY = 4;
+
+/**
+ * Raised when a bulk edit can't be applied in its current state (reported as 409)
+ */
+class BulkEditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BulkEditError';
+  }
+}
+
+/**
+ * Validate and normalize the transformations of a bulk edit:
+ * - { operation: 'set', property, value } sets a property (any JSON value)
+ * - { operation: 'replace', property, pattern, replacement, ignoreCase }
+ *   regex-replaces within a string property (every occurrence)
+ * - { operation: 'delete', property } removes a property
+ * Properties are paths inside the object, e.g. `shadow.color` or
+ * `filters[0].type`.
+ */
+function normalizeTransforms(input) {
+  const list = Array.isArray(input) ? input : input ? [input] : [];
+  if (list.length === 0) {
+    throw new QueryError('Bulk edits need at least one transformation');
+  }
+
+  return list.map((transform) => {
+    const operation = transform.operation;
+    if (!OPERATIONS.has(operation)) {
+      throw new QueryError(`Unknown operation "${operation}" (use set, replace or delete)`);
+    }
+
+    const property = toMongoPath(String(transform.property || '').trim());
+    if (!property) {
+      throw new QueryError(`"${operation}" needs a property`);
+    }
+    const segments = property.split('.');
+    if (segments.some((segment) => !segment || UNSAFE_SEGMENTS.has(segment))) {
+      throw new QueryError(`"${property}" is not a valid property path`);
+    }
+    if (RESERVED_PROPERTIES.has(segments[0])) {
+      throw new QueryError(`"${property}" can't be edited in bulk`);
+    }
+
+    if (operation === 'set') {
+      if (transform.value === undefined) {
+        throw new QueryError(`Setting "${property}" needs a value`);
+      }
+      return { operation, property, value: transform.value };
+    }
+
+    if (operation === 'replace') {
+      const pattern = String(transform.pattern || '');
+      if (!pattern) {
+        throw new QueryError(`Replacing in "${property}" needs a pattern`);
+      }
+      const ignoreCase = Boolean(transform.ignoreCase);
+      try {
+        new RegExp(pattern, ignoreCase ? 'gi' : 'g');
+      } catch (error) {
+        throw new QueryError(`Invalid regex for "${property}": ${error.message}`);
+      }
+      return {
+        operation,
+        property,
+        pattern,
+        replacement: String(transform.replacement ?? ''),
+        ignoreCase,
+      };
+    }
+
+    return { operation, property };
+  });
+}
+
+/**
+ * Container and last key of a dot-path in an object; with `create`,
+ * missing intermediate objects are added. Only own properties are walked.
+ */
+function resolvePath(obj, property, create = false) {
+  const keys = property.split('.');
+  let container = obj;
+
+  for (const key of keys.slice(0, -1)) {
+    const own = Object.hasOwn(container, key);
+    if (!own || container[key] === null || typeof container[key] !== 'object') {
+      if (!create) return null;
+      container[key] = {};
+    }
+    container = container[key];
+  }
+
+  return { container, key: keys[keys.length - 1] };
+}
+
+/**
+ * Apply transformations to one preset object in place.
+ * @returns {boolean} whether anything changed
+ */
+function applyTransforms(obj, transforms) {
+  let changed = false;
+
+  for (const transform of transforms) {
+    const target = resolvePath(obj, transform.property, transform.operation === 'set');
+    if (!target) continue;
+    const { container, key } = target;
+    const current = Object.hasOwn(container, key) ? container[key] : undefined;
+
+    if (transform.operation === 'set') {
+      if (JSON.stringify(current) !== JSON.stringify(transform.value)) {
+        container[key] = transform.value;
+        changed = true;
+      }
+    } else if (transform.operation === 'replace') {
+      if (typeof current !== 'string') continue;
+      const regex = new RegExp(transform.pattern, transform.ignoreCase ? 'gi' : 'g');
+      const replaced = current.replace(regex, transform.replacement);
+      if (replaced !== current) {
+        container[key] = replaced;
+        changed = true;
+      }
+    } else if (Object.hasOwn(container, key)) {
+      delete container[key];
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Object at a tree path ("3.0.2") in a preset, or null
+ */
+function objectAtPath(json, path) {
+  let objects = json.body && json.body.objects;
+  let obj = null;
+
+  for (const index of path.split('.')) {
+    if (!Array.isArray(objects)) return null;
+    obj = objects[Number(index)];
+    if (!obj) return null;
+    objects = obj.objects;
+  }
+  return obj;
+}
+
+/**
+ * Copy of a preset with the transformations applied to the objects at
+ * `paths`, or null when that changes nothing
+ */
+function editPreset(json, paths, transforms) {
+  const edited = structuredClone(json);
+  let changed = false;
+
+  for (const path of paths) {
+    const obj = objectAtPath(edited, path);
+    if (obj && applyTransforms(obj, transforms)) changed = true;
+  }
+
+  return changed ? edited : null;
+}
+
+/**
+ * Dry run: find the presets a search matches, apply the transformations
+ * to their stored copies and diff the result. The plan is saved in
+ * `bulkEdits` so it can be applied as reviewed.
+ *
+ * @param {Db} db
+ * @param {object} options
+ * @param {object} options.filters - filters tree, as for /api/search
+ * @param {string} options.scope - as for /api/search
+ * @param {string} [options.text] - free text, as for /api/search
+ * @param {object[]} options.transforms - see normalizeTransforms()
+ * @returns {Promise<object>} the plan, with an object diff per preset
+ */
+async function planBulkEdit(db, { filters, scope, text, transforms: input }) {
+  const transforms = normalizeTransforms(input);
+  const query = buildQuery({ filters, scope, text });
+  if (Object.keys(query).length === 0) {
+    throw new QueryError('Bulk edits need at least one filter');
+  }
+
+  const matches = await db
+    .collection('objects')
+    .find(await resolvePresetFilters(db, query))
+    .project({ source: 1, fileName: 1, 'tree.path': 1 })
+    .toArray();
+
+  const byFile = new Map();
+  for (const { source, fileName, tree } of matches) {
+    const key = `${source}\n${fileName}`;
+    if (!byFile.has(key)) byFile.set(key, { source, fileName, paths: [] });
+    byFile.get(key).paths.push(tree.path);
+  }
+
+  if (byFile.size > MAX_BULK_EDIT_FILES) {
+    throw new QueryError(
+      `The search matches ${byFile.size} presets; narrow it down to at most ${MAX_BULK_EDIT_FILES}`,
+    );
+  }
+
+  const files = [];
+  let unchangedCount = 0;
+
+  for (const { source, fileName, paths } of byFile.values()) {
+    // The synced copy the matches came from
+    const metadata = await db.collection('fileMetadata').findOne({ source, fileName });
+    const version = metadata
+      ? await db
+          .collection('presetVersions')
+          .findOne({ source, fileName, etag: metadata.etag })
+      : null;
+    if (!version) {
+      files.push({ source, fileName, paths, status: 'skipped', error: 'No stored copy; sync it first' });
+      continue;
+    }
+
+    const before = JSON.parse(version.content);
+    const after = editPreset(before, paths, transforms);
+    if (!after) {
+      unchangedCount++;
+      continue;
+    }
+
+    const diff = diffObjects(
+      extractObjects(before, fileName, source),
+      extractObjects(after, fileName, source),
+    );
+    files.push({
+      source,
+      fileName,
+      paths,
+      etag: metadata.etag,
+      lastModified: metadata.lastModified,
+      status: 'planned',
+      diff,
+    });
+  }
+
+  const edit = {
+    _id: new ObjectId(),
+    status: 'planned',
+    createdAt: new Date().toISOString(),
+    filters,
+    scope: scope || 'all',
+    text: text || '',
+    transforms,
+    matchedObjectCount: matches.length,
+    unchangedCount,
+    // Diffs are only shown for the dry run, not stored
+    files: files.map(({ diff, ...file }) => ({
+      ...file,
+      changedObjectCount: diff ? diff.modified.length : 0,
+    })),
+  };
+  await db.collection('bulkEdits').insertOne(edit);
+
+  return { ...edit, files };
+}
+
+/**
+ * Write a planned bulk edit back to the sources. Each file is re-read and
+ * must still be the version the plan was made from (otherwise it is a
+ * conflict and left alone); the original is backed up before it is
+ * overwritten. Written files are queued for a sync.
+ *
+ * @returns {Promise<object>} the edit with a status per file
+ */
+async function applyBulkEdit(db, editId) {
+  const edit = await db.collection('bulkEdits').findOneAndUpdate(
+    { _id: editId, status: 'planned' },
+    { $set: { status: 'applying', applyStartedAt: new Date().toISOString() } },
+    { returnDocument: 'after' },
+  );
+  if (!edit) {
+    const existing = await db.collection('bulkEdits').findOne({ _id: editId });
+    throw new BulkEditError(
+      existing
+        ? `Bulk edit is ${existing.status}, only planned edits can be applied`
+        : 'Bulk edit not found',
+    );
+  }
+
+  const sources = new Map();
+  const openEditSource = async (name) => {
+    if (!sources.has(name)) sources.set(name, openSource(await getSourceProfile(db, name)));
+    return sources.get(name);
+  };
+
+  // Whatever goes wrong here, the edit mustn't be left 'applying' for good
+  let files;
+  let written;
+  let status;
+  try {
+    files = await mapWithConcurrency(edit.files, APPLY_CONCURRENCY, async (file) => {
+      if (file.status !== 'planned') return file;
+
+      try {
+        const presetSource = await openEditSource(file.source);
+        const current = await presetSource.stat(file.fileName);
+        if (!current || current.etag !== file.etag) {
+          throw new SourceConflictError(file.fileName);
+        }
+
+        const edited = editPreset(await presetSource.read(current), file.paths, edit.transforms);
+        if (!edited) return { ...file, status: 'unchanged' };
+
+        const backup = await presetSource.backup(current, edit._id.toHexString());
+        await presetSource.write(file.fileName, edited, { ifMatch: current.etag });
+        return { ...file, status: 'written', backup };
+      } catch (error) {
+        return {
+          ...file,
+          status: error instanceof SourceConflictError ? 'conflict' : 'failed',
+          error: error.message,
+        };
+      }
+    });
+
+    written = files.filter((file) => file.status === 'written');
+    // Files already as the edit wants them (unchanged) count as done
+    const attempted = files.filter((file) => !['skipped', 'unchanged'].includes(file.status));
+    status =
+      written.length === attempted.length ? 'applied' : written.length > 0 ? 'partial' : 'failed';
+
+    await db.collection('bulkEdits').updateOne(
+      { _id: edit._id },
+      { $set: { status, files, appliedAt: new Date().toISOString() } },
+    );
+  } catch (error) {
+    await db
+      .collection('bulkEdits')
+      .updateOne(
+        { _id: edit._id },
+        { $set: { status: 'failed', error: error.message, appliedAt: new Date().toISOString() } },
+      )
+      .catch((updateError) => console.error('Bulk edit status update failed:', updateError.message));
+    throw error;
+  }
+
+  // Re-sync what was written, like files named in an S3 event
+  const writtenBySource = new Map();
+  for (const file of written) {
+    if (!writtenBySource.has(file.source)) writtenBySource.set(file.source, []);
+    writtenBySource.get(file.source).push(file.fileName);
+  }
+  for (const [source, fileNames] of writtenBySource) {
+    await db.collection('syncQueue').updateOne(
+      { _id: source },
+      {
+        $addToSet: { files: { $each: fileNames } },
+        $setOnInsert: { queuedAt: new Date().toISOString() },
+      },
+      { upsert: true },
+    );
+  }
+  if (written.length > 0) {
+    try {
+      await drainSyncQueue(db);
+    } catch (error) {
+      console.error('Bulk edit re-sync failed to start:', error.message);
+    }
+  }
+
+  return { ...edit, status, files };
+}
+
+module.exports = {
+  BulkEditError,
+  normalizeTransforms,
+  planBulkEdit,
+  applyBulkEdit,
+};
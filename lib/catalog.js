@@ -0,0 +1,137 @@
+const { ObjectId } = require('mongodb');
+const { isNested } = require('./query');
+
+const PROPERTY_SAMPLE_LIMIT = 5;
+
+// Cached with the catalog version it was built at. The version is kept
+// in `metadata` so a sync in another process (e.g. the CLI) outdates it too.
+let cachedCatalog = null;
+let cachedVersion = null;
+
+/**
+ * Describe a value's type for the property catalog
+ */
+function valueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof ObjectId) return 'objectId';
+  if (typeof value === 'boolean') return 'bool';
+  return typeof value;
+}
+
+/**
+ * Build the property catalog: every property path in the objects collection
+ * (nested ones in dot notation) and every preset-level one (as `preset.*`,
+ * from the presets collection) with its observed value types, usage counts
+ * and a few sample values
+ */
+async function buildPropertyCatalog(db) {
+  const catalog = new Map();
+
+  // `objects` is how many objects the value applies to (a preset's
+  // properties apply to all of its objects)
+  const record = (path, value, file, seen, objects) => {
+    let entry = catalog.get(path);
+    if (!entry) {
+      entry = { property: path, types: new Set(), objectCount: 0, files: new Set(), samples: [] };
+      catalog.set(path, entry);
+    }
+
+    entry.types.add(valueType(value));
+    if (!seen.has(path)) {
+      seen.add(path);
+      entry.objectCount += objects;
+      entry.files.add(file);
+    }
+
+    // Keep a handful of distinct, reasonably short sample values
+    if (
+      value !== null &&
+      typeof value !== 'object' &&
+      entry.samples.length < PROPERTY_SAMPLE_LIMIT
+    ) {
+      const str = String(value);
+      if (str.length <= 100 && !entry.samples.includes(str)) {
+        entry.samples.push(str);
+      }
+    }
+  };
+
+  const walk = (value, path, file, seen, objects = 1) => {
+    record(path, value, file, seen, objects);
+
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (!isNested(child) || Array.isArray(child)) continue;
+      for (const [key, item] of Object.entries(child)) {
+        walk(item, `${path}.${key}`, file, seen, objects);
+      }
+    }
+  };
+
+  // _syncId and _styles are sync bookkeeping, not preset properties
+  const cursor = db
+    .collection('objects')
+    .find({}, { projection: { _id: 0, _syncId: 0, _styles: 0 } });
+
+  // Presets are told apart by source and file name
+  const fileKey = (doc) => `${doc.source}\n${doc.fileName}`;
+
+  for await (const doc of cursor) {
+    const seen = new Set();
+    for (const [key, value] of Object.entries(doc)) {
+      walk(value, key, fileKey(doc), seen);
+    }
+  }
+
+  const presets = db
+    .collection('presets')
+    .find({}, { projection: { _id: 0, source: 1, fileName: 1, objectCount: 1, preset: 1 } });
+
+  for await (const doc of presets) {
+    walk(doc.preset, 'preset', fileKey(doc), new Set(), doc.objectCount || 0);
+  }
+
+  return [...catalog.values()]
+    .map(({ files, types, ...entry }) => ({
+      ...entry,
+      types: [...types].sort(),
+      presetCount: files.size,
+    }))
+    .sort(
+      (a, b) =>
+        b.objectCount - a.objectCount || a.property.localeCompare(b.property),
+    );
+}
+
+async function getCatalogVersion(db) {
+  const doc = await db.collection('metadata').findOne({ _id: 'catalog' });
+  return doc ? doc.version : 0;
+}
+
+/**
+ * Property catalog, built on first use and cached until invalidated
+ */
+async function getPropertyCatalog(db) {
+  const version = await getCatalogVersion(db);
+  if (!cachedCatalog || cachedVersion !== version) {
+    cachedCatalog = await buildPropertyCatalog(db);
+    cachedVersion = version;
+  }
+  return cachedCatalog;
+}
+
+/**
+ * Outdate the cached catalog in every process (object keys may have changed)
+ */
+async function invalidatePropertyCatalog(db) {
+  cachedCatalog = null;
+  await db
+    .collection('metadata')
+    .updateOne({ _id: 'catalog' }, { $inc: { version: 1 } }, { upsert: true });
+}
+
+module.exports = {
+  getPropertyCatalog,
+  invalidatePropertyCatalog,
+};
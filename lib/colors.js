@@ -0,0 +1,262 @@
+// CSS colors: parsing every form presets use (hex, rgb/rgba, hsl/hsla and
+// names) and one canonical spelling to compare them by
+
+// CSS named colors
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff',
+  antiquewhite: 'faebd7',
+  aqua: '00ffff',
+  aquamarine: '7fffd4',
+  azure: 'f0ffff',
+  beige: 'f5f5dc',
+  bisque: 'ffe4c4',
+  black: '000000',
+  blanchedalmond: 'ffebcd',
+  blue: '0000ff',
+  blueviolet: '8a2be2',
+  brown: 'a52a2a',
+  burlywood: 'deb887',
+  cadetblue: '5f9ea0',
+  chartreuse: '7fff00',
+  chocolate: 'd2691e',
+  coral: 'ff7f50',
+  cornflowerblue: '6495ed',
+  cornsilk: 'fff8dc',
+  crimson: 'dc143c',
+  cyan: '00ffff',
+  darkblue: '00008b',
+  darkcyan: '008b8b',
+  darkgoldenrod: 'b8860b',
+  darkgray: 'a9a9a9',
+  darkgreen: '006400',
+  darkgrey: 'a9a9a9',
+  darkkhaki: 'bdb76b',
+  darkmagenta: '8b008b',
+  darkolivegreen: '556b2f',
+  darkorange: 'ff8c00',
+  darkorchid: '9932cc',
+  darkred: '8b0000',
+  darksalmon: 'e9967a',
+  darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b',
+  darkslategray: '2f4f4f',
+  darkslategrey: '2f4f4f',
+  darkturquoise: '00ced1',
+  darkviolet: '9400d3',
+  deeppink: 'ff1493',
+  deepskyblue: '00bfff',
+  dimgray: '696969',
+  dimgrey: '696969',
+  dodgerblue: '1e90ff',
+  firebrick: 'b22222',
+  floralwhite: 'fffaf0',
+  forestgreen: '228b22',
+  fuchsia: 'ff00ff',
+  gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff',
+  gold: 'ffd700',
+  goldenrod: 'daa520',
+  gray: '808080',
+  green: '008000',
+  greenyellow: 'adff2f',
+  grey: '808080',
+  honeydew: 'f0fff0',
+  hotpink: 'ff69b4',
+  indianred: 'cd5c5c',
+  indigo: '4b0082',
+  ivory: 'fffff0',
+  khaki: 'f0e68c',
+  lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00',
+  lemonchiffon: 'fffacd',
+  lightblue: 'add8e6',
+  lightcoral: 'f08080',
+  lightcyan: 'e0ffff',
+  lightgoldenrodyellow: 'fafad2',
+  lightgray: 'd3d3d3',
+  lightgreen: '90ee90',
+  lightgrey: 'd3d3d3',
+  lightpink: 'ffb6c1',
+  lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa',
+  lightskyblue: '87cefa',
+  lightslategray: '778899',
+  lightslategrey: '778899',
+  lightsteelblue: 'b0c4de',
+  lightyellow: 'ffffe0',
+  lime: '00ff00',
+  limegreen: '32cd32',
+  linen: 'faf0e6',
+  magenta: 'ff00ff',
+  maroon: '800000',
+  mediumaquamarine: '66cdaa',
+  mediumblue: '0000cd',
+  mediumorchid: 'ba55d3',
+  mediumpurple: '9370db',
+  mediumseagreen: '3cb371',
+  mediumslateblue: '7b68ee',
+  mediumspringgreen: '00fa9a',
+  mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585',
+  midnightblue: '191970',
+  mintcream: 'f5fffa',
+  mistyrose: 'ffe4e1',
+  moccasin: 'ffe4b5',
+  navajowhite: 'ffdead',
+  navy: '000080',
+  oldlace: 'fdf5e6',
+  olive: '808000',
+  olivedrab: '6b8e23',
+  orange: 'ffa500',
+  orangered: 'ff4500',
+  orchid: 'da70d6',
+  palegoldenrod: 'eee8aa',
+  palegreen: '98fb98',
+  paleturquoise: 'afeeee',
+  palevioletred: 'db7093',
+  papayawhip: 'ffefd5',
+  peachpuff: 'ffdab9',
+  peru: 'cd853f',
+  pink: 'ffc0cb',
+  plum: 'dda0dd',
+  powderblue: 'b0e0e6',
+  purple: '800080',
+  rebeccapurple: '663399',
+  red: 'ff0000',
+  rosybrown: 'bc8f8f',
+  royalblue: '4169e1',
+  saddlebrown: '8b4513',
+  salmon: 'fa8072',
+  sandybrown: 'f4a460',
+  seagreen: '2e8b57',
+  seashell: 'fff5ee',
+  sienna: 'a0522d',
+  silver: 'c0c0c0',
+  skyblue: '87ceeb',
+  slateblue: '6a5acd',
+  slategray: '708090',
+  slategrey: '708090',
+  snow: 'fffafa',
+  springgreen: '00ff7f',
+  steelblue: '4682b4',
+  tan: 'd2b48c',
+  teal: '008080',
+  thistle: 'd8bfd8',
+  tomato: 'ff6347',
+  turquoise: '40e0d0',
+  violet: 'ee82ee',
+  wheat: 'f5deb3',
+  white: 'ffffff',
+  whitesmoke: 'f5f5f5',
+  yellow: 'ffff00',
+  yellowgreen: '9acd32',
+};
+
+// Colors written out inside longer text, e.g. CSS gradients or SVG markup
+const COLOR_TOKEN_PATTERN =
+  /(?<![\w&])#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])|\b(?:rgba?|hsla?)\([^()]*\)/gi;
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * A color function argument: a number, or a percentage of `scale`
+ */
+function parseChannel(text, scale) {
+  const value = parseFloat(text);
+  if (isNaN(value)) return null;
+  return text.endsWith('%') ? (value / 100) * scale : value;
+}
+
+function hexToRgb(digits) {
+  const channels = digits.match(/../g).map((pair) => parseInt(pair, 16));
+  return [channels[0], channels[1], channels[2], digits.length === 8 ? channels[3] / 255 : 1];
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const h = (((hue % 360) + 360) % 360) / 360;
+  const s = clamp(saturation, 0, 1);
+  const l = clamp(lightness, 0, 1);
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    const x = ((t % 1) + 1) % 1;
+    if (x < 1 / 6) return p + (q - p) * 6 * x;
+    if (x < 1 / 2) return q;
+    if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+    return p;
+  };
+  return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)].map((value) => value * 255);
+}
+
+/**
+ * Parse a CSS color into [r, g, b, a] (a in 0..1); null when the text
+ * isn't a color
+ */
+function parseCssColor(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+
+  if (text === 'transparent') return [0, 0, 0, 0];
+  if (NAMED_COLORS[text]) return hexToRgb(NAMED_COLORS[text]);
+
+  const hex = text.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) {
+      digits = [...digits].map((digit) => digit + digit).join('');
+    }
+    return digits.length === 6 || digits.length === 8 ? hexToRgb(digits) : null;
+  }
+
+  const fn = text.match(/^(rgba?|hsla?)\(([^()]*)\)$/);
+  if (!fn) return null;
+
+  const args = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (args.length !== 3 && args.length !== 4) return null;
+
+  const alpha = args.length === 4 ? parseChannel(args[3], 1) : 1;
+  let channels;
+  if (fn[1].startsWith('rgb')) {
+    channels = args.slice(0, 3).map((arg) => parseChannel(arg, 255));
+  } else {
+    const hue = parseFloat(args[0]);
+    const [saturation, lightness] = args.slice(1, 3).map((arg) => parseChannel(arg, 1));
+    channels =
+      isNaN(hue) || saturation === null || lightness === null
+        ? [null]
+        : hslToRgb(hue, saturation, lightness);
+  }
+  if (channels.includes(null) || alpha === null) return null;
+
+  return [...channels.map((channel) => Math.round(clamp(channel, 0, 255))), clamp(alpha, 0, 1)];
+}
+
+/**
+ * Canonical spelling of a color: #rrggbb, or #rrggbbaa when it isn't
+ * opaque; null when the text isn't a color
+ */
+function normalizeColor(value) {
+  const color = parseCssColor(value);
+  if (!color) return null;
+
+  const [r, g, b, a] = color;
+  const hex = (channel) => channel.toString(16).padStart(2, '0');
+  return `#${hex(r)}${hex(g)}${hex(b)}${a < 1 ? hex(Math.round(a * 255)) : ''}`;
+}
+
+/**
+ * Colors written out in a longer text (hex and color functions; names
+ * are too easily plain words)
+ */
+function findColorTokens(text) {
+  return String(text).match(COLOR_TOKEN_PATTERN) || [];
+}
+
+module.exports = {
+  parseCssColor,
+  normalizeColor,
+  findColorTokens,
+};
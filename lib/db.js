@@ -0,0 +1,63 @@
+const { DEFAULT_SOURCE } = require('./sources');
+const { ensureTextIndex } = require('./textSearch');
+
+// Database the server and the CLI use on MONGODB_URI
+const DB_NAME = 'presets';
+
+/**
+ * Bring an existing database up to date and create the indexes every
+ * collection relies on. Safe to run on every start.
+ */
+async function prepareDatabase(db) {
+  // Records synced before source profiles existed came from the default source
+  for (const name of ['objects', 'fileMetadata', 'presetVersions', 'syncRuns']) {
+    await db
+      .collection(name)
+      .updateMany(
+        { source: { $exists: false } },
+        { $set: { source: DEFAULT_SOURCE.name } },
+      );
+  }
+  const { name: defaultName, ...defaultProfile } = DEFAULT_SOURCE;
+  await db
+    .collection('sources')
+    .updateOne(
+      { _id: defaultName },
+      { $setOnInsert: defaultProfile },
+      { upsert: true },
+    );
+
+  await db.collection('objects').createIndex({ source: 1, fileName: 1 });
+  await db.collection('objects').createIndex({ fileName: 1 });
+  await db.collection('objects').createIndex({ 'tree.parentId': 1 });
+  await db.collection('objects').createIndex({ 'tree.depth': 1 });
+  await db.collection('objects').createIndex({ '_styles.fonts.key': 1 });
+  await db.collection('objects').createIndex({ '_styles.colors.key': 1 });
+  await ensureTextIndex(db.collection('objects'));
+  await db.collection('syncRuns').createIndex({ startedAt: -1 });
+  await db
+    .collection('presetVersions')
+    .createIndex({ source: 1, fileName: 1, lastModified: -1 });
+  await db
+    .collection('fileMetadata')
+    .createIndex({ source: 1, fileName: 1 }, { unique: true });
+  await db
+    .collection('syncFailures')
+    .createIndex({ source: 1, fileName: 1 }, { unique: true });
+  await db.collection('savedQueries').createIndex({ name: 1 }, { unique: true });
+  await db.collection('rules').createIndex({ name: 1 }, { unique: true });
+  await db.collection('violations').createIndex({ source: 1, fileName: 1 });
+  await db.collection('violations').createIndex({ ruleId: 1 });
+  await db.collection('assetRefs').createIndex({ source: 1, fileName: 1 });
+  await db.collection('assetRefs').createIndex({ url: 1 });
+  await db.collection('assets').createIndex({ status: 1 });
+  await db
+    .collection('presets')
+    .createIndex({ source: 1, fileName: 1 }, { unique: true });
+  await db.collection('bulkEdits').createIndex({ createdAt: -1 });
+}
+
+module.exports = {
+  DB_NAME,
+  prepareDatabase,
+};
@@ -0,0 +1,146 @@
+const { flattenValue } = require('./query');
+const { BOOKKEEPING_FIELDS } = require('./extract');
+
+// Properties tried in order to pair objects between two versions;
+// whatever is left is paired by position in the group tree
+const MATCH_KEYS = ['id', 'name', 'conrolTitle'];
+
+/**
+ * Short description of an object for diff output
+ */
+function summarize(obj) {
+  return {
+    id: obj.id,
+    name: obj.name,
+    type: obj.type,
+    conrolTitle: obj.conrolTitle,
+    path: obj.tree ? obj.tree.path : undefined,
+  };
+}
+
+/**
+ * Flatten an object's own properties into leaf paths for comparison
+ */
+function flattenObject(obj) {
+  const out = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (BOOKKEEPING_FIELDS.has(key)) continue;
+    flattenValue(key, value, out);
+  }
+  return out;
+}
+
+/**
+ * Property-level differences between two matched objects
+ */
+function diffProperties(before, after) {
+  const a = flattenObject(before);
+  const b = flattenObject(after);
+  const changes = [];
+
+  for (const property of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (!(property in b)) {
+      changes.push({ property, change: 'removed', before: a[property] });
+    } else if (!(property in a)) {
+      changes.push({ property, change: 'added', after: b[property] });
+    } else if (a[property] !== b[property]) {
+      changes.push({ property, change: 'changed', before: a[property], after: b[property] });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Pair objects from two lists. Each strategy groups the still-unmatched
+ * objects by a key and pairs equal keys in document order.
+ */
+function matchObjects(left, right) {
+  const pairs = [];
+  const unmatchedLeft = new Set(left);
+  const unmatchedRight = new Set(right);
+
+  const strategies = [
+    ...MATCH_KEYS.map((key) => ({
+      name: key,
+      keyOf: (obj) =>
+        obj[key] !== undefined && obj[key] !== null && obj[key] !== ''
+          ? `${obj[key]}`
+          : null,
+    })),
+    {
+      name: 'position',
+      keyOf: (obj) => (obj.tree ? `${obj.tree.path}|${obj.type}` : null),
+    },
+  ];
+
+  for (const strategy of strategies) {
+    const buckets = new Map();
+    for (const obj of unmatchedRight) {
+      const key = strategy.keyOf(obj);
+      if (key === null) continue;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(obj);
+    }
+
+    for (const obj of [...unmatchedLeft]) {
+      const key = strategy.keyOf(obj);
+      const candidates = key === null ? null : buckets.get(key);
+      if (!candidates || candidates.length === 0) continue;
+
+      const match = candidates.shift();
+      pairs.push({ before: obj, after: match, matchedBy: strategy.name });
+      unmatchedLeft.delete(obj);
+      unmatchedRight.delete(match);
+    }
+  }
+
+  return { pairs, removed: [...unmatchedLeft], added: [...unmatchedRight] };
+}
+
+/**
+ * Object-level diff between two extracted object lists (see extractObjects()).
+ * Returns added, removed and modified objects, the latter with the
+ * properties that changed and whether the object moved in the group tree.
+ */
+function diffObjects(beforeObjects, afterObjects) {
+  const { pairs, removed, added } = matchObjects(beforeObjects, afterObjects);
+  const modified = [];
+  let unchangedCount = 0;
+
+  for (const { before, after, matchedBy } of pairs) {
+    const changes = diffProperties(before, after);
+    const beforePath = before.tree ? before.tree.path : undefined;
+    const afterPath = after.tree ? after.tree.path : undefined;
+    const moved = beforePath !== afterPath;
+
+    if (changes.length === 0 && !moved) {
+      unchangedCount++;
+      continue;
+    }
+
+    modified.push({
+      before: summarize(before),
+      after: summarize(after),
+      matchedBy,
+      moved,
+      changes,
+    });
+  }
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      modified: modified.length,
+      unchanged: unchangedCount,
+    },
+    added: added.map(summarize),
+    removed: removed.map(summarize),
+    modified,
+  };
+}
+
+module.exports = {
+  diffObjects,
+};
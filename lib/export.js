@@ -0,0 +1,284 @@
+const ExcelJS = require('exceljs');
+const {
+  QueryError,
+  buildProjection,
+  buildSort,
+  flattenRow,
+  createColumnTracker,
+  resolveColumns,
+} = require('./query');
+const { findObjects } = require('./presetSearch');
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+  },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+};
+
+// Excel's sheet limit is 1,048,576 rows, one of which is the header
+const XLSX_MAX_ROWS = 1048575;
+
+// Matches read to learn the header of tabular formats before any row is
+// written, so large exports start streaming right away
+const COLUMN_SAMPLE_SIZE = 1000;
+
+/**
+ * Escape a value for CSV
+ */
+function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Write a chunk and wait for the socket to drain when its buffer is full.
+ * Nothing is written once the stream is destroyed (e.g. the client left).
+ */
+function write(res, chunk) {
+  if (res.destroyed) return null;
+  if (res.write(chunk)) return null;
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Learn which leaf columns the selected (possibly nested) columns expand
+ * to from the first COLUMN_SAMPLE_SIZE matches, so tabular formats get a
+ * stable header. Leaf columns only later rows have are left out and
+ * reported (see writeExport()).
+ */
+async function collectColumns(collection, query, columns) {
+  const expanded = createColumnTracker(columns);
+  const cursor = findObjects(collection, query, {
+    projection: buildProjection(columns),
+  }).limit(COLUMN_SAMPLE_SIZE);
+
+  for await (const doc of cursor) {
+    flattenRow(doc, columns, expanded);
+  }
+
+  return resolveColumns(expanded);
+}
+
+/**
+ * Validate an export and count what it will write
+ */
+async function planExport(collection, { query, columns, format }) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new QueryError(`Unknown export format "${format}"`);
+  }
+
+  const totalCount = await collection.countDocuments(query);
+  const outputColumns =
+    format === 'ndjson' ? null : await collectColumns(collection, query, columns);
+
+  return { spec, totalCount, outputColumns };
+}
+
+/**
+ * Stream every object matching `query` to `res` as CSV, NDJSON or XLSX.
+ *
+ * Completeness is reported in three ways: the `X-Export-Total-Count` header
+ * carries the expected row count, the `X-Export-Row-Count` and
+ * `X-Export-Complete` HTTP trailers are sent once the last row is written,
+ * and NDJSON/XLSX additionally end with an export summary record/sheet.
+ * CSV/XLSX leaf columns missing from the header are counted in the
+ * `X-Export-Unlisted-Column-Count` trailer (and listed in the XLSX summary).
+ * If the export fails midway the connection is destroyed, so the download
+ * errors out instead of looking like a short but valid file.
+ *
+ * @returns {Promise<number>} rows written
+ */
+async function exportObjects(collection, { query, columns, format, sort = [] }, res) {
+  const plan = await planExport(collection, { query, columns, format });
+
+  res.setHeader('Content-Type', plan.spec.contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="preset-analysis-${Date.now()}.${plan.spec.extension}"`,
+  );
+  res.setHeader('X-Export-Total-Count', plan.totalCount);
+  res.setHeader(
+    'Trailer',
+    'X-Export-Row-Count, X-Export-Complete, X-Export-Unlisted-Column-Count',
+  );
+
+  return writeExport(
+    collection,
+    { query, columns, format, sort },
+    plan,
+    res,
+    (rowCount, unlistedColumns) => {
+      res.addTrailers({
+        'X-Export-Row-Count': rowCount,
+        'X-Export-Complete': 'true',
+        'X-Export-Unlisted-Column-Count': unlistedColumns.length,
+      });
+    },
+  );
+}
+
+/**
+ * Stream every object matching `query` to a writable stream (a file or
+ * stdout), for exports outside of HTTP
+ *
+ * @returns {Promise<number>} rows written
+ */
+async function exportObjectsToStream(collection, { query, columns, format, sort = [] }, out) {
+  const plan = await planExport(collection, { query, columns, format });
+  return writeExport(collection, { query, columns, format, sort }, plan, out, (rowCount, unlisted) => {
+    if (unlisted.length > 0) {
+      console.error(
+        `Left out columns first seen after row ${COLUMN_SAMPLE_SIZE}: ${unlisted.join(', ')}`,
+      );
+    }
+  });
+}
+
+/**
+ * Write the rows of a planned export to `out`, then end it.
+ * `finish(rowCount, unlistedColumns)` runs once the last row is written,
+ * before the end; unlistedColumns are leaf columns of rows past the header
+ * sample that the header doesn't have, so their values weren't written.
+ */
+async function writeExport(collection, { query, columns, format, sort }, plan, out, finish = () => {}) {
+  const { totalCount, outputColumns } = plan;
+
+  const listed = new Set(outputColumns);
+  const unlisted = new Set();
+  const tabularRow = (doc) => {
+    const row = flattenRow(doc, columns);
+    for (const key of Object.keys(row)) {
+      if (!listed.has(key)) unlisted.add(key);
+    }
+    return row;
+  };
+
+  // Unsorted exports keep natural order, which needs no sort stage
+  const cursor = findObjects(collection, query, {
+    projection: buildProjection(columns),
+    sort: sort.length > 0 ? buildSort(sort) : null,
+  });
+  out.on('close', () => cursor.close().catch(() => {}));
+
+  let rowCount = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: out,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+
+    let sheetNumber = 0;
+    let sheetRows = 0;
+    let worksheet = null;
+
+    const nextSheet = () => {
+      if (worksheet) worksheet.commit();
+      sheetNumber++;
+      sheetRows = 0;
+      worksheet = workbook.addWorksheet(
+        sheetNumber === 1 ? 'Results' : `Results ${sheetNumber}`,
+      );
+      worksheet.addRow(outputColumns).commit();
+    };
+
+    nextSheet();
+    for await (const doc of cursor) {
+      if (out.destroyed) break;
+      if (sheetRows === XLSX_MAX_ROWS) nextSheet();
+
+      const row = tabularRow(doc);
+      worksheet.addRow(outputColumns.map((col) => row[col] ?? null)).commit();
+      sheetRows++;
+      rowCount++;
+    }
+    // Aborted downloads get no summary claiming they are complete
+    if (out.destroyed) return rowCount;
+    worksheet.commit();
+
+    const summary = workbook.addWorksheet('Export');
+    summary.addRow(['complete', true]).commit();
+    summary.addRow(['rowCount', rowCount]).commit();
+    summary.addRow(['totalCount', totalCount]).commit();
+    summary.addRow(['exportedAt', new Date().toISOString()]).commit();
+    if (unlisted.size > 0) {
+      summary.addRow(['unlistedColumns', [...unlisted].join(', ')]).commit();
+    }
+    summary.commit();
+
+    finish(rowCount, [...unlisted]);
+    // Committing the workbook finalizes the zip and ends the stream
+    await workbook.commit();
+    return rowCount;
+  }
+
+  if (format === 'csv') {
+    await write(out, outputColumns.map(escapeCSV).join(',') + '\n');
+  }
+
+  for await (const doc of cursor) {
+    if (out.destroyed) break;
+
+    let line;
+    if (format === 'csv') {
+      const row = tabularRow(doc);
+      line = outputColumns.map((col) => escapeCSV(row[col])).join(',');
+    } else {
+      line = JSON.stringify(flattenRow(doc, columns));
+    }
+
+    await write(out, line + '\n');
+    rowCount++;
+  }
+  if (out.destroyed) return rowCount;
+
+  if (format === 'ndjson') {
+    await write(
+      out,
+      JSON.stringify({
+        _export: {
+          complete: true,
+          rowCount,
+          totalCount,
+          exportedAt: new Date().toISOString(),
+        },
+      }) + '\n',
+    );
+  }
+
+  finish(rowCount, [...unlisted]);
+  out.end();
+  return rowCount;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeCSV,
+  exportObjects,
+  exportObjectsToStream,
+};
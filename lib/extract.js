@@ -0,0 +1,130 @@
+const { ObjectId } = require('mongodb');
+const { isNested } = require('./query');
+
+// Bump when extractObjects() (or what sync derives from its output, like
+// asset references) changes shape, so the next sync re-extracts every
+// file instead of only the ones modified at the source
+const EXTRACT_VERSION = 9;
+
+// Group properties copied into each descendant's tree.parent / tree.ancestors
+const ANCESTOR_FIELDS = ['id', 'name', 'type', 'className', 'conrolTitle'];
+
+// Fields extractObjects() (and sync: _syncId, _styles) add to each object:
+// where it sits and what was derived from it, not properties of the preset
+const BOOKKEEPING_FIELDS = new Set(['_id', '_syncId', '_styles', 'source', 'fileName', 'tree']);
+
+// Where a preset object's own properties named like a bookkeeping field
+// are stored instead (e.g. an object's `source` as `_own.source`)
+const OWN_FIELDS_KEY = '_own';
+
+/**
+ * Document-level properties of a preset: every top-level field and every
+ * `body` field except the objects themselves (canvas size, background,
+ * version, template name...)
+ */
+function extractPreset(json) {
+  const preset = {};
+
+  for (const [key, value] of Object.entries(json || {})) {
+    if (key === 'body' && value && typeof value === 'object' && !Array.isArray(value)) {
+      const { objects, ...body } = value;
+      preset.body = body;
+    } else {
+      preset[key] = value;
+    }
+  }
+
+  return preset;
+}
+
+/**
+ * Extract objects from a preset JSON.
+ * Every entry gets a `tree` subdocument describing where it sits:
+ * parentId, depth, z-order index among its siblings, the index path
+ * from the root (e.g. "3.0.2") and a summary of each ancestor group.
+ * Object properties named like a bookkeeping field are moved under
+ * OWN_FIELDS_KEY. The preset's own properties are stored once per file
+ * (see extractPreset()).
+ */
+function extractObjects(json, fileName, source) {
+  const results = [];
+
+  function traverse(objects, parent, ancestors, path) {
+    if (!Array.isArray(objects)) return;
+
+    objects.forEach((obj, index) => {
+      const _id = new ObjectId();
+      const cleanEntry = { _id, source, fileName };
+
+      // Nested values (shadow, filters, clipPath...) are kept as
+      // subdocuments so they can be queried with dot-paths
+      for (const [key, value] of Object.entries(obj)) {
+        if (key === 'objects') continue;
+        if (BOOKKEEPING_FIELDS.has(key) || key === OWN_FIELDS_KEY) {
+          cleanEntry[OWN_FIELDS_KEY] = { ...cleanEntry[OWN_FIELDS_KEY], [key]: value };
+        } else {
+          cleanEntry[key] = value;
+        }
+      }
+
+      const objPath = [...path, index];
+      cleanEntry.tree = {
+        parentId: parent ? parent._id : null,
+        depth: ancestors.length,
+        index,
+        path: objPath.join('.'),
+        parent: parent || null,
+        ancestors,
+      };
+
+      results.push(cleanEntry);
+
+      if (obj.type === 'group' && obj.objects) {
+        const summary = { _id };
+        for (const field of ANCESTOR_FIELDS) {
+          if (obj[field] !== undefined) summary[field] = obj[field];
+        }
+        traverse(obj.objects, summary, [...ancestors, summary], objPath);
+      }
+    });
+  }
+
+  if (json.body && json.body.objects) {
+    traverse(json.body.objects, null, [], []);
+  }
+
+  return results;
+}
+
+/**
+ * Walk an extracted object's own properties (bookkeeping fields skipped),
+ * depth first. `visit(value, path, context)` is called for every value,
+ * nested ones with dot-paths (array items by index), and returns the
+ * context its children are visited with.
+ */
+function walkProperties(obj, visit, context) {
+  const walk = (value, path, parentContext) => {
+    const childContext = visit(value, path, parentContext);
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${path}.${index}`, childContext));
+    } else if (isNested(value)) {
+      for (const [key, item] of Object.entries(value)) {
+        walk(item, `${path}.${key}`, childContext);
+      }
+    }
+  };
+
+  for (const [key, value] of Object.entries(obj)) {
+    if (!BOOKKEEPING_FIELDS.has(key)) walk(value, key, context);
+  }
+}
+
+module.exports = {
+  EXTRACT_VERSION,
+  BOOKKEEPING_FIELDS,
+  OWN_FIELDS_KEY,
+  extractPreset,
+  extractObjects,
+  walkProperties,
+};
@@ -0,0 +1,436 @@
+const { QueryError, escapeRegex } = require('./query');
+
+// Text form of a filters tree, e.g.
+//   type:image AND NOT src:*cdn.example* AND (width>500 OR scaleX>1)
+//
+//   prop:value       exact (case-insensitive; numbers and booleans as such)
+//   prop:*text*      includes; other * wildcards match as a pattern
+//   prop~text        includes           prop!~text   does not contain
+//   prop!=value      not equals         prop:/re/    matches regex
+//   prop<n, prop>n   less/greater than  prop:n..m    between
+//   prop:(a, b)      in list
+//   prop:*           exists             prop:null    is missing
+//   prop:""          is empty string
+//
+// Filters are combined with AND (or just a space), OR and NOT (or -), with
+// parentheses for grouping; AND binds tighter than OR. Quote values (and
+// property names) with spaces or special characters: title:"Save the date".
+
+const PROPERTY_PATTERN = /[A-Za-z_$@][\w$@-]*(?:\.[\w$@-]+|\[\d+\])*/y;
+const OPERATOR_PATTERN = /!=|!~|<=|>=|[:=~<>]/y;
+const KEYWORD_PATTERN = /(and|or|not)(?=[\s()"]|$)/iy;
+// Unquoted values run up to whitespace, a parenthesis or a quote
+const WORD_PATTERN = /[^\s()"]+/y;
+const LIST_ITEM_PATTERN = /[^\s()",]+/y;
+
+/**
+ * Syntax error in a text query, with the (0-based) position it was found at
+ */
+class FilterSyntaxError extends QueryError {
+  constructor(message, position) {
+    super(`${message} (at position ${position + 1})`);
+    this.name = 'FilterSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Regex for a value with * wildcards, anchored where it has none
+ */
+function wildcardToRegex(value) {
+  return `^${value.split('*').map(escapeRegex).join('.*')}$`
+    .replace(/^\^\.\*/, '')
+    .replace(/\.\*\$$/, '');
+}
+
+function isNumeric(value) {
+  return value.trim() !== '' && !isNaN(value);
+}
+
+/**
+ * Negate a node parsed from `prop:value` for `prop!=value`
+ */
+function negate(node) {
+  const negated = {
+    exact: 'not-exact',
+    includes: 'not-includes',
+    exists: 'missing',
+    missing: 'exists',
+  }[node.operator];
+  return negated ? { ...node, operator: negated } : { logic: 'not', filters: [node] };
+}
+
+/**
+ * Add a node to a group's children, merging in groups of the same logic
+ */
+function pushFlattened(children, node, logic) {
+  if (node.logic === logic) children.push(...node.filters);
+  else children.push(node);
+}
+
+/**
+ * Parse a text query into a { logic, filters } tree, as /api/search takes
+ * it. Throws FilterSyntaxError pointing at the first problem.
+ */
+function parseFilterText(text) {
+  const input = String(text ?? '');
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    throw new FilterSyntaxError(message, at);
+  };
+
+  const skipSpace = () => {
+    while (pos < input.length && /\s/.test(input[pos])) pos++;
+  };
+
+  const matchPattern = (pattern) => {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(input);
+    if (!match) return null;
+    pos = pattern.lastIndex;
+    return match[0];
+  };
+
+  // The keyword at the current position, without consuming it
+  const peekKeyword = () => {
+    KEYWORD_PATTERN.lastIndex = pos;
+    const match = KEYWORD_PATTERN.exec(input);
+    return match ? match[1].toLowerCase() : null;
+  };
+
+  const describeNext = () => {
+    const next = input.slice(pos).match(/^\s*(\S{1,20})/);
+    return next ? `"${next[1]}"` : 'the end of the query';
+  };
+
+  const parseString = () => {
+    const start = pos;
+    pos++; // opening quote
+    let value = '';
+    while (pos < input.length && input[pos] !== '"') {
+      if (input[pos] === '\\' && pos + 1 < input.length) pos++;
+      value += input[pos++];
+    }
+    if (pos >= input.length) fail('Unterminated quoted text', start);
+    pos++; // closing quote
+    return value;
+  };
+
+  const parseRegex = () => {
+    const start = pos;
+    pos++; // opening slash
+    let source = '';
+    while (pos < input.length && input[pos] !== '/') {
+      if (input[pos] === '\\' && input[pos + 1] === '/') pos++;
+      else if (input[pos] === '\\' && pos + 1 < input.length) source += input[pos++];
+      source += input[pos++];
+    }
+    if (pos >= input.length) fail('Unterminated regex (missing closing /)', start);
+    pos++; // closing slash
+    if (!source) fail('Empty regex', start);
+    try {
+      new RegExp(source);
+    } catch (error) {
+      fail(`Invalid regex: ${error.message}`, start);
+    }
+    return source;
+  };
+
+  // A quoted or unquoted value; `quoted` tells them apart, since quoting
+  // turns off wildcards, ranges and null
+  const parseValue = (operator) => {
+    skipSpace();
+    const start = pos;
+    if (input[pos] === '"') return { value: parseString(), quoted: true, start };
+    const word = matchPattern(WORD_PATTERN);
+    if (word === null) fail(`Expected a value after "${operator}", got ${describeNext()}`);
+    return { value: word, quoted: false, start };
+  };
+
+  const parseList = (property) => {
+    const start = pos;
+    pos++; // opening parenthesis
+    const values = [];
+    for (;;) {
+      skipSpace();
+      const itemStart = pos;
+      const value = input[pos] === '"' ? parseString() : matchPattern(LIST_ITEM_PATTERN);
+      if (value === null) fail(`Expected a list value, got ${describeNext()}`);
+      if (value.includes(',')) fail("List values can't contain commas", itemStart);
+      if (value.trim()) values.push(value.trim());
+
+      skipSpace();
+      if (input[pos] === ',') {
+        pos++;
+      } else if (input[pos] === ')') {
+        pos++;
+        break;
+      } else {
+        fail(`Expected "," or ")" in the list, got ${describeNext()}`);
+      }
+    }
+    if (values.length === 0) fail('Empty list', start);
+    return { property, operator: 'in', value: values.join(', ') };
+  };
+
+  // The filter for `property:...`
+  const parseMatch = (property, operator) => {
+    skipSpace();
+    if (input[pos] === '(') return parseList(property);
+    if (input[pos] === '/') return { property, operator: 'regex', value: parseRegex() };
+
+    const { value, quoted, start } = parseValue(operator);
+    if (quoted) {
+      return value === '' ? { property, operator: 'empty' } : { property, operator: 'exact', value };
+    }
+
+    if (value === '*') return { property, operator: 'exists' };
+    if (value.toLowerCase() === 'null') return { property, operator: 'missing' };
+
+    const range = value.indexOf('..');
+    if (range !== -1) {
+      const low = value.slice(0, range);
+      const high = value.slice(range + 2);
+      if (!isNumeric(low) || !isNumeric(high)) {
+        fail(`A range needs two numbers (e.g. ${property}:100..200), got "${value}"`, start);
+      }
+      return { property, operator: 'between', value: low, value2: high };
+    }
+
+    if (value.includes('*')) {
+      if (/^\*[^*]+\*$/.test(value)) {
+        return { property, operator: 'includes', value: value.slice(1, -1) };
+      }
+      return { property, operator: 'regex', value: wildcardToRegex(value) };
+    }
+
+    return { property, operator: 'exact', value };
+  };
+
+  const parseComparison = () => {
+    const start = pos;
+    let property;
+    if (input[pos] === '"') {
+      property = parseString();
+      if (!property) fail('Empty property name', start);
+    } else {
+      property = matchPattern(PROPERTY_PATTERN);
+      if (property === null) fail(`Expected a filter (e.g. type:image), got ${describeNext()}`);
+    }
+
+    skipSpace();
+    const operatorStart = pos;
+    const operator = matchPattern(OPERATOR_PATTERN);
+    if (operator === null) {
+      fail(`Expected an operator (:, !=, ~, !~, <, >) after "${property}", got ${describeNext()}`);
+    }
+
+    switch (operator) {
+      case ':':
+      case '=':
+        return parseMatch(property, operator);
+      case '!=':
+        return negate(parseMatch(property, operator));
+      case '~':
+      case '!~':
+        return {
+          property,
+          operator: operator === '~' ? 'includes' : 'not-includes',
+          value: parseValue(operator).value,
+        };
+      case '<':
+      case '>': {
+        const { value, start: valueStart } = parseValue(operator);
+        if (!isNumeric(value)) fail(`"${operator}" needs a number, got "${value}"`, valueStart);
+        return { property, operator: operator === '<' ? 'lt' : 'gt', value };
+      }
+      default:
+        return fail(
+          `"${operator}" isn't supported; use < or > or a range (${property}:100..200)`,
+          operatorStart,
+        );
+    }
+  };
+
+  let parseOr;
+
+  const parsePrimary = () => {
+    skipSpace();
+    if (input[pos] === '(') {
+      const open = pos;
+      pos++;
+      const node = parseOr();
+      skipSpace();
+      if (input[pos] !== ')') fail(`Missing ")" for the "(" at position ${open + 1}`);
+      pos++;
+      return node;
+    }
+    const keyword = peekKeyword();
+    if (keyword === 'and' || keyword === 'or') {
+      fail(`Expected a filter before "${input.substr(pos, keyword.length)}"`);
+    }
+    return parseComparison();
+  };
+
+  const parseUnary = () => {
+    skipSpace();
+    const negated = peekKeyword() === 'not' || input[pos] === '-';
+    if (!negated) return parsePrimary();
+
+    pos += input[pos] === '-' ? 1 : 3;
+    const node = parseUnary();
+    // NOT (a OR b) is a NONE group over a and b
+    return { logic: 'not', filters: node.logic === 'or' ? node.filters : [node] };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    pushFlattened(children, parseUnary(), 'and');
+    for (;;) {
+      skipSpace();
+      const keyword = peekKeyword();
+      if (pos >= input.length || input[pos] === ')' || keyword === 'or') break;
+      if (keyword === 'and') pos += 3;
+      pushFlattened(children, parseUnary(), 'and');
+    }
+    return children.length === 1 ? children[0] : { logic: 'and', filters: children };
+  };
+
+  parseOr = () => {
+    const children = [];
+    pushFlattened(children, parseAnd(), 'or');
+    while (peekKeyword() === 'or') {
+      pos += 2;
+      pushFlattened(children, parseAnd(), 'or');
+    }
+    return children.length === 1 ? children[0] : { logic: 'or', filters: children };
+  };
+
+  skipSpace();
+  if (pos >= input.length) return { logic: 'and', filters: [] };
+
+  const tree = parseOr();
+  skipSpace();
+  if (pos < input.length) fail(`Unexpected ${describeNext()}`);
+
+  return tree.logic === 'and' || tree.logic === 'or' ? tree : { logic: 'and', filters: [tree] };
+}
+
+/**
+ * Quote text for a query, escaping quotes and backslashes
+ */
+function quote(text) {
+  return `"${String(text).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Whether a value reads back the same unquoted
+ */
+function isPlainValue(value) {
+  return (
+    /^[^\s()"*]+$/.test(value) &&
+    !value.includes('..') &&
+    !value.startsWith('/') &&
+    value.toLowerCase() !== 'null'
+  );
+}
+
+function formatValue(value) {
+  const text = String(value ?? '');
+  return isPlainValue(text) ? text : quote(text);
+}
+
+/**
+ * Text of a single property filter
+ */
+function formatCondition(filter) {
+  PROPERTY_PATTERN.lastIndex = 0;
+  const match = PROPERTY_PATTERN.exec(filter.property);
+  const property =
+    match && match[0] === filter.property ? filter.property : quote(filter.property);
+  const value = String(filter.value ?? '').trim();
+  const plain = isPlainValue(value);
+
+  switch (filter.operator || 'includes') {
+    case 'exact':
+      return `${property}:${formatValue(value)}`;
+    case 'not-exact':
+      return `${property}!=${formatValue(value)}`;
+    case 'includes':
+      return plain ? `${property}:*${value}*` : `${property}~${quote(value)}`;
+    case 'not-includes':
+      return plain ? `${property}!=*${value}*` : `${property}!~${quote(value)}`;
+    case 'regex':
+      return `${property}:/${value.replace(/\\.|\//g, (char) => (char === '/' ? '\\/' : char))}/`;
+    case 'in': {
+      const values = value
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+      return `${property}:(${values.map(formatValue).join(', ')})`;
+    }
+    case 'lt':
+      return `${property}<${formatValue(value)}`;
+    case 'gt':
+      return `${property}>${formatValue(value)}`;
+    case 'between':
+      return `${property}:${value}..${String(filter.value2 ?? '').trim()}`;
+    case 'exists':
+      return `${property}:*`;
+    case 'missing':
+      return `${property}:null`;
+    case 'empty':
+      return `${property}:""`;
+    default:
+      throw new QueryError(`Unknown operator "${filter.operator}"`);
+  }
+}
+
+/**
+ * Text of a filter node as { text, logic }; logic (and/or) tells the
+ * caller whether it needs parentheses
+ */
+function formatNode(node) {
+  if (Array.isArray(node)) return formatNode({ logic: 'and', filters: node });
+  if (!node) return null;
+
+  if (node.filters === undefined && node.logic === undefined) {
+    return node.property ? { text: formatCondition(node), logic: null } : null;
+  }
+
+  const logic = node.logic || 'and';
+  const children = (node.filters || []).map(formatNode).filter(Boolean);
+  if (children.length === 0) return null;
+
+  if (logic === 'not') {
+    const operand =
+      children.length === 1
+        ? children[0]
+        : { text: children.map((child) => child.text).join(' OR '), logic: 'or' };
+    return { text: `NOT ${operand.logic ? `(${operand.text})` : operand.text}`, logic: null };
+  }
+
+  if (children.length === 1) return children[0];
+  const joiner = logic === 'or' ? ' OR ' : ' AND ';
+  const text = children
+    .map((child) => (child.logic && child.logic !== logic ? `(${child.text})` : child.text))
+    .join(joiner);
+  return { text, logic };
+}
+
+/**
+ * Text query for a { logic, filters } tree; parseFilterText() reads it
+ * back to an equivalent tree. Incomplete filters and empty groups are
+ * left out.
+ */
+function formatFilterText(tree) {
+  const formatted = formatNode(tree);
+  return formatted ? formatted.text : '';
+}
+
+module.exports = {
+  FilterSyntaxError,
+  parseFilterText,
+  formatFilterText,
+};
@@ -0,0 +1,280 @@
+const { QueryError } = require('./query');
+const { normalizeColor, findColorTokens } = require('./colors');
+const { TEXT_WEIGHTS } = require('./textSearch');
+const { walkProperties } = require('./extract');
+
+// Inventory kinds and where sync stores each object's entries of that kind
+const KINDS = {
+  font: '_styles.fonts',
+  color: '_styles.colors',
+};
+
+// User-visible text; a "#bad" or "rgb(...)" in it is words, not a color
+const TEXT_FIELDS = new Set(Object.keys(TEXT_WEIGHTS));
+
+// Property paths whose values may be color names ("red", also gradient
+// stops like fill.colorStops.0); elsewhere names are too likely to be words
+const COLOR_PROPERTY_PATTERN = /colou?r|fill|stroke|background|shadow/i;
+
+// Presets listed per inventory entry (presetCount has them all)
+const PRESETS_PER_ENTRY = 50;
+
+const FONT_PROPERTIES = ['fontFamily', 'fontWeight', 'fontSize'];
+const FONT_WEIGHTS = { normal: 400, bold: 700 };
+
+/**
+ * Font family stack with quotes and spacing evened out
+ */
+function normalizeFamily(value) {
+  return String(value)
+    .split(',')
+    .map((name) => name.trim().replace(/^["']|["']$/g, '').trim())
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Numeric CSS weight (normal is 400, bold 700); relative weights stay words
+ */
+function normalizeWeight(value) {
+  if (value === undefined || value === null || value === '') return 400;
+  const text = String(value).trim().toLowerCase();
+  if (FONT_WEIGHTS[text]) return FONT_WEIGHTS[text];
+  return isNaN(text) ? text : Number(text);
+}
+
+function normalizeSize(value) {
+  const size = parseFloat(value);
+  return isNaN(size) ? null : size;
+}
+
+/**
+ * Font of a node: its own font properties over the ones it inherits
+ * (e.g. a character style inside a text object)
+ */
+function nodeFont(node, inherited) {
+  const own = FONT_PROPERTIES.some((key) => key in node);
+  if (!own) return { font: inherited, defined: false };
+  return {
+    font: {
+      fontFamily: node.fontFamily ?? inherited?.fontFamily,
+      fontWeight: node.fontWeight ?? inherited?.fontWeight,
+      fontSize: node.fontSize ?? inherited?.fontSize,
+    },
+    defined: true,
+  };
+}
+
+function recordFont(found, font, property) {
+  const family = normalizeFamily(font.fontFamily);
+  const weight = normalizeWeight(font.fontWeight);
+  const size = normalizeSize(font.fontSize);
+  const key = `${family.toLowerCase()}|${weight}|${size ?? ''}`;
+
+  if (!found.fonts.has(key)) found.fonts.set(key, { family, weight, size, properties: new Set() });
+  found.fonts.get(key).properties.add(property);
+}
+
+function recordColor(found, raw, property) {
+  const color = normalizeColor(raw);
+  if (!color) return;
+  if (!found.colors.has(color)) found.colors.set(color, { forms: new Set(), properties: new Set() });
+  const usage = found.colors.get(color);
+  usage.forms.add(raw.trim());
+  usage.properties.add(property);
+}
+
+/**
+ * Fonts (family/weight/size combinations) and colors (by canonical
+ * spelling) one object uses, with the properties they were found in
+ * ('' is the object itself). Sync stores them on the object as `_styles`.
+ *
+ * @returns {{ fonts: object[], colors: object[] }} entries have a `key`
+ */
+function findObjectStyles(obj) {
+  const found = { fonts: new Map(), colors: new Map() };
+
+  const root = nodeFont(obj, null);
+  if (root.defined && root.font.fontFamily) recordFont(found, root.font, '');
+
+  walkProperties(
+    obj,
+    (value, property, font) => {
+      if (typeof value === 'string') {
+        const key = property.split('.').pop();
+        if (FONT_PROPERTIES.includes(key) || TEXT_FIELDS.has(property)) return font;
+
+        const text = value.trim();
+        if (/^[a-z]+$/i.test(text)) {
+          if (COLOR_PROPERTY_PATTERN.test(property)) recordColor(found, text, property);
+        } else if (normalizeColor(text)) {
+          recordColor(found, text, property);
+        } else if (!/^(?:https?|s3|data):/i.test(text)) {
+          for (const token of findColorTokens(text)) recordColor(found, token, property);
+        }
+        return font;
+      }
+
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return font;
+      const node = nodeFont(value, font);
+      if (node.defined && node.font.fontFamily) recordFont(found, node.font, property);
+      return node.font;
+    },
+    root.font,
+  );
+
+  return {
+    fonts: [...found.fonts].map(([key, { properties, ...font }]) => ({
+      key,
+      ...font,
+      properties: [...properties].sort(),
+    })),
+    colors: [...found.colors].map(([key, { forms, properties }]) => ({
+      key,
+      forms: [...forms].sort(),
+      properties: [...properties].sort(),
+    })),
+  };
+}
+
+/**
+ * One kind of inventory entries of the objects matching `query`, most
+ * widely used first
+ */
+async function collectEntries(collection, query, kind) {
+  const path = KINDS[kind];
+  const groups = await collection
+    .aggregate(
+      [
+        { $match: query },
+        { $project: { source: 1, fileName: 1, entry: `$${path}` } },
+        { $unwind: '$entry' },
+        {
+          $group: {
+            _id: '$entry.key',
+            entry: { $first: '$entry' },
+            objectCount: { $sum: 1 },
+            properties: { $addToSet: '$entry.properties' },
+            forms: { $addToSet: '$entry.forms' },
+            presets: { $addToSet: { source: '$source', fileName: '$fileName' } },
+          },
+        },
+      ],
+      { allowDiskUse: true },
+    )
+    .toArray();
+
+  return groups
+    .map(({ _id, entry, objectCount, properties, forms, presets }) => ({
+      key: _id,
+      ...(kind === 'font'
+        ? { family: entry.family, weight: entry.weight, size: entry.size }
+        : { forms: [...new Set(forms.flat())].sort() }),
+      properties: [...new Set(properties.flat())].sort(),
+      objectCount,
+      presetCount: presets.length,
+      presets: presets
+        .sort((a, b) => a.fileName.localeCompare(b.fileName) || a.source.localeCompare(b.source))
+        .slice(0, PRESETS_PER_ENTRY),
+    }))
+    .sort(
+      (a, b) =>
+        b.presetCount - a.presetCount || b.objectCount - a.objectCount || a.key.localeCompare(b.key),
+    );
+}
+
+/**
+ * Typography and color inventory of the objects matching `query`: every
+ * font family/weight/size combination and every color in use, colors
+ * compared by canonical spelling (hex, rgb(a), hsl(a) and names alike).
+ * Built from the `_styles` sync stores on each object.
+ *
+ * @param {Collection} collection - the objects collection
+ * @param {object} options
+ * @param {object} options.query - MongoDB query on objects
+ * @returns {Promise<object>} { objectCount, fonts, colors }; entries have
+ *   objectCount, presetCount, the first presets and the properties used in
+ */
+async function buildInventory(collection, { query = {} } = {}) {
+  const [objectCount, fonts, colors] = await Promise.all([
+    collection.countDocuments(query),
+    collectEntries(collection, query, 'font'),
+    collectEntries(collection, query, 'color'),
+  ]);
+
+  return {
+    objectCount,
+    familyCount: new Set(fonts.map((font) => font.family.toLowerCase())).size,
+    fonts,
+    colors,
+  };
+}
+
+/**
+ * Objects matching `query` that use one inventory entry (a font key or a
+ * color), with the properties it was found in
+ *
+ * @param {object} options
+ * @param {string} options.kind - font or color
+ * @param {string} options.key - the entry's key from buildInventory()
+ * @returns {Promise<{ count: number, objects: object[] }>} the first
+ *   `limit` objects and how many there are
+ */
+async function findInventoryObjects(collection, { query = {}, kind, key, limit = 1000 }) {
+  if (!Object.hasOwn(KINDS, kind)) {
+    throw new QueryError(`Unknown inventory kind "${kind}" (use font or color)`);
+  }
+  if (!key) throw new QueryError('key is required');
+
+  const path = KINDS[kind];
+  // $text has to stay at the top level of the query
+  const entryQuery = { ...query, $and: [...(query.$and || []), { [`${path}.key`]: String(key) }] };
+
+  const [result] = await collection
+    .aggregate(
+      [
+        { $match: entryQuery },
+        {
+          $facet: {
+            count: [{ $count: 'count' }],
+            objects: [
+              { $limit: limit },
+              {
+                $project: {
+                  _id: 0,
+                  source: 1,
+                  fileName: 1,
+                  id: 1,
+                  name: 1,
+                  type: 1,
+                  conrolTitle: 1,
+                  path: '$tree.path',
+                  entry: {
+                    $first: {
+                      $filter: { input: `$${path}`, cond: { $eq: ['$$this.key', String(key)] } },
+                    },
+                  },
+                },
+              },
+            ],
+          },
+        },
+      ],
+      { allowDiskUse: true },
+    )
+    .toArray();
+
+  return {
+    count: result.count.length > 0 ? result.count[0].count : 0,
+    objects: result.objects.map(({ entry, ...obj }) => ({
+      ...obj,
+      properties: entry ? entry.properties : [],
+    })),
+  };
+}
+
+module.exports = {
+  findObjectStyles,
+  buildInventory,
+  findInventoryObjects,
+};
@@ -0,0 +1,179 @@
+const { EventEmitter } = require('events');
+const { ObjectId } = require('mongodb');
+const { SyncCancelledError, syncSource } = require('./sync');
+const { runAssetCheckInBackground } = require('./assets');
+
+// Finished jobs kept around so late subscribers can still read the outcome
+const FINISHED_JOB_LIMIT = 20;
+
+const jobs = new Map();
+let currentJob = null;
+
+/**
+ * Record a job's latest event and send it to subscribers
+ */
+function publish(job, event) {
+  job.progress = event;
+  job.events.emit('event', event);
+}
+
+/**
+ * Public view of a job (no emitter or abort controller)
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    source: job.source,
+    trigger: job.trigger,
+    retryFailed: job.retryFailed,
+    fileCount: job.fileCount,
+    status: job.status,
+    syncId: job.syncId,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+/**
+ * Drop the oldest finished jobs past the limit
+ */
+function pruneJobs() {
+  const finished = [...jobs.values()].filter((job) => job.status !== 'running');
+  for (const job of finished.slice(0, -FINISHED_JOB_LIMIT)) {
+    jobs.delete(job.id);
+  }
+}
+
+/**
+ * Start a sync of `source` in the background.
+ *
+ * Resolves once the sync holds the lock and its run is recorded, so lock
+ * conflicts and unknown sources still reject (SyncLockedError / SourceError).
+ * Progress is published as events on the job (see subscribeJob()); the
+ * last one is always 'done', 'error' or 'cancelled'.
+ * `job.finished` settles when the sync ends, for callers that want to wait.
+ */
+function startSyncJob(
+  db,
+  { source, trigger = 'ui', retryFailed = false, files = null } = {},
+) {
+  const job = {
+    id: new ObjectId().toHexString(),
+    source,
+    trigger,
+    retryFailed,
+    fileCount: files ? files.length : null,
+    status: 'running',
+    syncId: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    progress: null,
+    result: null,
+    error: null,
+    events: new EventEmitter(),
+    controller: new AbortController(),
+  };
+  job.events.setMaxListeners(0);
+
+  return new Promise((resolve, reject) => {
+    let started = false;
+
+    const onProgress = (event) => {
+      if (event.stage === 'started') {
+        job.syncId = event.syncId;
+        job.source = event.source;
+        started = true;
+        jobs.set(job.id, job);
+        currentJob = job;
+        resolve(job);
+      }
+      publish(job, event);
+    };
+
+    job.finished = syncSource(db, source, onProgress, {
+      trigger,
+      retryFailed,
+      files,
+      signal: job.controller.signal,
+    })
+      .then((result) => {
+        job.status = 'completed';
+        job.result = result;
+        publish(job, {
+          stage: 'done',
+          success: true,
+          ...result,
+          lastSync: new Date().toISOString(),
+        });
+        return result;
+      })
+      .catch((error) => {
+        // Failed before it started: nothing to publish, the caller gets the error
+        if (!started) {
+          reject(error);
+          return null;
+        }
+
+        if (error instanceof SyncCancelledError) {
+          job.status = 'cancelled';
+          publish(job, { stage: 'cancelled', message: error.message });
+        } else {
+          console.error('Sync job error:', error);
+          job.status = 'failed';
+          job.error = error.message;
+          publish(job, { stage: 'error', error: error.message });
+        }
+        return null;
+      })
+      .finally(() => {
+        if (!started) return;
+        job.finishedAt = new Date().toISOString();
+        if (currentJob === job) currentJob = null;
+        pruneJobs();
+        // Verify the asset references no check has seen yet (also ones a
+        // cancelled or failed sync wrote), now that the lock is released
+        runAssetCheckInBackground(db);
+      });
+  });
+}
+
+/**
+ * A job by id; 'current' is the running job, if any
+ */
+function getJob(id) {
+  return id === 'current' ? currentJob : jobs.get(id) || null;
+}
+
+/**
+ * Ask a running job to stop. It stops after the batch in progress.
+ * @returns {boolean} false if the job isn't running
+ */
+function cancelJob(job) {
+  if (job.status !== 'running') return false;
+  job.controller.abort();
+  publish(job, { stage: 'cancelling', message: 'Cancelling after the current batch...' });
+  return true;
+}
+
+/**
+ * Call `listener` with the job's latest event, then every new one.
+ * Returns an unsubscribe function.
+ */
+function subscribeJob(job, listener) {
+  if (job.progress) listener(job.progress);
+  if (job.status !== 'running') return () => {};
+
+  job.events.on('event', listener);
+  return () => job.events.off('event', listener);
+}
+
+module.exports = {
+  describeJob,
+  startSyncJob,
+  getJob,
+  cancelJob,
+  subscribeJob,
+};
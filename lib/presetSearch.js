@@ -0,0 +1,247 @@
+const { buildSort } = require('./query');
+
+// Every preset row has these, before any `preset.*` columns
+const PRESET_ROW_COLUMNS = ['fileName', 'source', 'matchCount'];
+
+const LOGICAL_OPERATORS = new Set(['$and', '$or', '$nor']);
+
+/**
+ * Whether a (MongoDB) property path is a preset-level property: those are
+ * stored once per file in the presets collection, under `preset`
+ */
+function isPresetPath(path) {
+  return path === 'preset' || path.startsWith('preset.');
+}
+
+/**
+ * Whether a query only constrains preset-level properties (so it can run
+ * against the presets collection as it is)
+ */
+function isPresetQuery(query) {
+  return Object.entries(query).every(([key, value]) =>
+    LOGICAL_OPERATORS.has(key) ? value.every(isPresetQuery) : isPresetPath(key),
+  );
+}
+
+/**
+ * Condition on objects matching the files whose preset matches `query`
+ */
+async function presetFilesCondition(db, query) {
+  const presets = await db
+    .collection('presets')
+    .find(query)
+    .project({ _id: 0, source: 1, fileName: 1 })
+    .toArray();
+
+  const bySource = new Map();
+  for (const { source, fileName } of presets) {
+    if (!bySource.has(source)) bySource.set(source, []);
+    bySource.get(source).push(fileName);
+  }
+
+  const clauses = [...bySource].map(([source, fileNames]) => ({
+    source,
+    fileName: { $in: fileNames },
+  }));
+  if (clauses.length === 0) return { fileName: { $in: [] } };
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+}
+
+/**
+ * Turn the preset-level conditions of an objects query (`preset.*`, as
+ * buildQuery() writes them) into conditions on the files whose preset
+ * matches, looked up in the presets collection. Every part of the query
+ * that only involves preset properties is looked up as a whole, so any
+ * mix of and/or/not keeps its meaning.
+ */
+async function resolvePresetFilters(db, query) {
+  if (Object.keys(query).length === 0) return query;
+  if (isPresetQuery(query)) return presetFilesCondition(db, query);
+
+  const resolved = {};
+  const presetPart = {};
+
+  for (const [key, value] of Object.entries(query)) {
+    if (LOGICAL_OPERATORS.has(key)) {
+      resolved[key] = await Promise.all(value.map((child) => resolvePresetFilters(db, child)));
+    } else if (isPresetPath(key)) {
+      presetPart[key] = value;
+    } else {
+      resolved[key] = value;
+    }
+  }
+
+  if (Object.keys(presetPart).length > 0) {
+    resolved.$and = [...(resolved.$and || []), await presetFilesCondition(db, presetPart)];
+  }
+  return resolved;
+}
+
+/**
+ * Aggregation stages adding each object's (or preset row's) preset-level
+ * properties as `preset`, joined from the presets collection
+ */
+function lookupPresetStages() {
+  return [
+    {
+      $lookup: {
+        from: 'presets',
+        let: { source: '$source', fileName: '$fileName' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [{ $eq: ['$source', '$$source'] }, { $eq: ['$fileName', '$$fileName'] }],
+              },
+            },
+          },
+          { $project: { _id: 0, preset: 1 } },
+        ],
+        as: 'preset',
+      },
+    },
+    { $set: { preset: { $first: '$preset.preset' } } },
+  ];
+}
+
+/**
+ * Cursor over the objects matching a (resolved) query, projected, sorted
+ * and paged like a find(). Columns or sorts on `preset.*` join the
+ * preset-level properties in; otherwise it is a plain find().
+ *
+ * @param {Collection} collection - the objects collection
+ * @param {object} query - see resolvePresetFilters()
+ * @param {object} options
+ * @param {object} options.projection - MongoDB projection
+ * @param {object} [options.sort] - MongoDB sort; none keeps natural order
+ * @param {number} [options.offset]
+ * @param {number} [options.limit] - 0 for no limit
+ */
+function findObjects(collection, query, { projection, sort, offset = 0, limit = 0 }) {
+  const sortKeys = Object.keys(sort || {});
+  const sortsByPreset = sortKeys.some(isPresetPath);
+
+  if (!sortsByPreset && !Object.keys(projection).some(isPresetPath)) {
+    const cursor = collection.find(query).project(projection);
+    if (sortKeys.length > 0) cursor.sort(sort).allowDiskUse();
+    if (offset) cursor.skip(offset);
+    if (limit) cursor.limit(limit);
+    return cursor;
+  }
+
+  // Only the page needs its presets, unless it is sorted by them
+  return collection.aggregate(
+    [
+      { $match: query },
+      ...(sortsByPreset ? lookupPresetStages() : []),
+      ...(sortKeys.length > 0 ? [{ $sort: sort }] : []),
+      ...(offset ? [{ $skip: offset }] : []),
+      ...(limit ? [{ $limit: limit }] : []),
+      ...(sortsByPreset ? [] : lookupPresetStages()),
+      { $project: projection },
+    ],
+    { allowDiskUse: true },
+  );
+}
+
+/**
+ * Columns of a preset row: the fixed ones plus the selected preset-level
+ * properties (`preset.*`); object columns don't apply and are dropped
+ */
+function presetColumns(columns = []) {
+  const presetLevel = columns.filter(isPresetPath);
+  return [...new Set([...PRESET_ROW_COLUMNS, ...presetLevel])];
+}
+
+/**
+ * One row per preset with how many of its objects match `query` and its
+ * document-level properties. Queries on preset-level properties alone
+ * run against the presets collection, so presets without objects are
+ * listed too (every object matches, matchCount is the object count);
+ * otherwise presets containing matching objects are listed. Text
+ * searches without another sort rank presets by their matches' summed
+ * relevance.
+ *
+ * @param {Db} db
+ * @param {object} options
+ * @param {object} options.query - objects query from buildQuery()
+ * @param {object[]} options.sort - normalized sort (see normalizeSort())
+ * @param {number} options.offset
+ * @param {number} options.limit
+ * @returns {Promise<{ docs: object[], totalCount: number }>} docs are
+ *   { source, fileName, matchCount, preset } (and _score for text searches)
+ */
+async function searchPresets(db, { query, sort = [], offset, limit }) {
+  const ranked = Boolean(query.$text) && sort.length === 0;
+
+  // Ties are broken by file instead of the object _id buildSort() adds
+  const { _id, ...sortSpec } = ranked ? { _score: -1 } : buildSort(sort);
+  sortSpec.source = sortSpec.source || 1;
+  sortSpec.fileName = sortSpec.fileName || 1;
+
+  const page = {
+    $facet: {
+      docs: [{ $sort: sortSpec }, { $skip: offset }, { $limit: limit }],
+      total: [{ $count: 'count' }],
+    },
+  };
+
+  let pipeline;
+  let collection;
+
+  if (isPresetQuery(query)) {
+    collection = db.collection('presets');
+    pipeline = [
+      { $match: query },
+      {
+        $project: {
+          _id: 0,
+          source: 1,
+          fileName: 1,
+          matchCount: '$objectCount',
+          preset: 1,
+        },
+      },
+      page,
+    ];
+  } else {
+    collection = db.collection('objects');
+    pipeline = [
+      { $match: await resolvePresetFilters(db, query) },
+      {
+        $group: {
+          _id: { source: '$source', fileName: '$fileName' },
+          matchCount: { $sum: 1 },
+          ...(query.$text ? { _score: { $sum: { $meta: 'textScore' } } } : {}),
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          source: '$_id.source',
+          fileName: '$_id.fileName',
+          matchCount: 1,
+          ...(query.$text ? { _score: 1 } : {}),
+        },
+      },
+      ...lookupPresetStages(),
+      page,
+    ];
+  }
+
+  const [result] = await collection.aggregate(pipeline, { allowDiskUse: true }).toArray();
+
+  return {
+    docs: result.docs,
+    totalCount: result.total.length > 0 ? result.total[0].count : 0,
+  };
+}
+
+module.exports = {
+  isPresetPath,
+  resolvePresetFilters,
+  lookupPresetStages,
+  findObjects,
+  presetColumns,
+  searchPresets,
+};
@@ -0,0 +1,562 @@
+const {
+  parseColor,
+  createCanvas,
+  fillPolygons,
+  strokePolyline,
+  encodePng,
+} = require('./raster');
+
+/**
+ * Preset previews: lays out a preset's canvas-style object tree (fabric.js
+ * conventions: left/top at the origin point, angle in degrees, group
+ * children positioned relative to the group's center) and draws it as SVG
+ * or, rasterized on the CPU, as PNG. Text is drawn as text in SVG and as
+ * grey-out bars in PNG; images as placeholders (an SVG shown through <img>
+ * can't load them anyway).
+ */
+
+const ORIGIN_FACTORS = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+const TEXT_TYPES = new Set(['text', 'i-text', 'textbox']);
+
+const HIGHLIGHT_COLORS = { selected: '#e53935', matched: '#fb8c00' };
+
+// Output width bounds, in pixels
+const MIN_PREVIEW_WIDTH = 16;
+const MAX_PREVIEW_WIDTH = 2000;
+const DEFAULT_PREVIEW_WIDTH = 600;
+// Tall presets are scaled down to this height (narrowing the width) so a
+// preview never needs more than MAX_PREVIEW_WIDTH x MAX_PREVIEW_HEIGHT pixels
+const MAX_PREVIEW_HEIGHT = 2000;
+
+function num(value, fallback = 0) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+// 2D affine matrices as [a, b, c, d, e, f] (x' = ax + cy + e, y' = bx + dy + f)
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+const translate = (x, y) => [1, 0, 0, 1, x, y];
+const scale = (x, y) => [x, 0, 0, y, 0, 0];
+function rotate(degrees) {
+  const rad = (degrees * Math.PI) / 180;
+  return [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0];
+}
+
+function apply(m, [x, y]) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/**
+ * Matrix from an object's box ([0, width] x [0, height]) to its parent's space
+ */
+function objectMatrix(obj, parent) {
+  const width = num(obj.width);
+  const height = num(obj.height);
+  const ox = ORIGIN_FACTORS[obj.originX] ?? 0;
+  const oy = ORIGIN_FACTORS[obj.originY] ?? 0;
+
+  let m = multiply(parent, translate(num(obj.left), num(obj.top)));
+  m = multiply(m, rotate(num(obj.angle)));
+  m = multiply(m, scale(num(obj.scaleX, 1), num(obj.scaleY, 1)));
+  m = multiply(m, translate(-ox * width, -oy * height));
+
+  // Flips mirror the object in place
+  if (obj.flipX || obj.flipY) {
+    m = multiply(m, translate(width / 2, height / 2));
+    m = multiply(m, scale(obj.flipX ? -1 : 1, obj.flipY ? -1 : 1));
+    m = multiply(m, translate(-width / 2, -height / 2));
+  }
+  return m;
+}
+
+/**
+ * Flatten the preset into drawable items in paint order, each with the
+ * matrix to canvas space and its tree path (as in `objects.tree.path`)
+ */
+function buildScene(json) {
+  const body = (json && json.body) || json || {};
+  const items = [];
+
+  function walk(objects, parentMatrix, parentOpacity, path) {
+    if (!Array.isArray(objects)) return;
+
+    objects.forEach((obj, index) => {
+      if (!obj || typeof obj !== 'object' || obj.visible === false) return;
+
+      const objPath = [...path, index];
+      const matrix = objectMatrix(obj, parentMatrix);
+      const opacity = parentOpacity * num(obj.opacity, 1);
+      const width = num(obj.width);
+      const height = num(obj.height);
+      items.push({ obj, matrix, width, height, opacity, path: objPath.join('.') });
+
+      if (obj.type === 'group') {
+        walk(obj.objects, multiply(matrix, translate(width / 2, height / 2)), opacity, objPath);
+      }
+    });
+  }
+
+  walk(body.objects, [1, 0, 0, 1, 0, 0], 1, []);
+
+  // The preset's canvas size when it has one, otherwise what the objects cover
+  let bounds;
+  if (num(body.width) > 0 && num(body.height) > 0) {
+    bounds = { x: 0, y: 0, width: num(body.width), height: num(body.height) };
+  } else {
+    const corners = items
+      .filter((item) => item.obj.type !== 'group')
+      .flatMap((item) => boxCorners(item));
+    if (corners.length === 0) {
+      bounds = { x: 0, y: 0, width: 100, height: 100 };
+    } else {
+      const xs = corners.map(([x]) => x);
+      const ys = corners.map(([, y]) => y);
+      const x = Math.min(0, ...xs);
+      const y = Math.min(0, ...ys);
+      bounds = {
+        x,
+        y,
+        width: Math.max(Math.max(...xs) - x, 1),
+        height: Math.max(Math.max(...ys) - y, 1),
+      };
+    }
+  }
+
+  const background = typeof body.background === 'string' ? body.background : null;
+  return { items, bounds, background };
+}
+
+function boxCorners(item) {
+  const { width, height, matrix } = item;
+  return [[0, 0], [width, 0], [width, height], [0, height]].map((point) => apply(matrix, point));
+}
+
+/**
+ * Fill color of an object; gradients use their first stop
+ */
+function fillOf(obj) {
+  if (typeof obj.fill === 'string') return obj.fill;
+  if (obj.fill && Array.isArray(obj.fill.colorStops) && obj.fill.colorStops.length > 0) {
+    return obj.fill.colorStops[0].color;
+  }
+  return obj.fill ? '#cccccc' : null;
+}
+
+function ellipsePoints(cx, cy, rx, ry, segments = 48) {
+  return Array.from({ length: segments }, (_, i) => {
+    const t = (i / segments) * Math.PI * 2;
+    return [cx + rx * Math.cos(t), cy + ry * Math.sin(t)];
+  });
+}
+
+function roundedRectPoints(width, height, rx, ry) {
+  if (rx <= 0 || ry <= 0) return [[0, 0], [width, 0], [width, height], [0, height]];
+  rx = Math.min(rx, width / 2);
+  ry = Math.min(ry, height / 2);
+
+  const corners = [
+    [width - rx, ry, -Math.PI / 2],
+    [width - rx, height - ry, 0],
+    [rx, height - ry, Math.PI / 2],
+    [rx, ry, Math.PI],
+  ];
+  const points = [];
+  for (const [cx, cy, start] of corners) {
+    for (let i = 0; i <= 8; i++) {
+      const t = start + (i / 8) * (Math.PI / 2);
+      points.push([cx + rx * Math.cos(t), cy + ry * Math.sin(t)]);
+    }
+  }
+  return points;
+}
+
+/**
+ * Offset that places polygon/path coordinates in the object's box
+ */
+function pointsOffset(obj, points) {
+  if (obj.pathOffset && Number.isFinite(obj.pathOffset.x)) {
+    return [num(obj.width) / 2 - obj.pathOffset.x, num(obj.height) / 2 - obj.pathOffset.y];
+  }
+  if (points.length === 0) return [0, 0];
+  return [-Math.min(...points.map(([x]) => x)), -Math.min(...points.map(([, y]) => y))];
+}
+
+/**
+ * Flatten a fabric path ([['M', x, y], ['C', ...], ...]) into sub-path
+ * polygons. Arcs and smooth curves are approximated by straight lines.
+ */
+function flattenPath(commands) {
+  const polygons = [];
+  let current = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+
+  const curve = (controls, toX, toY) => {
+    const points = [[x, y], ...controls, [toX, toY]];
+    for (let i = 1; i <= 12; i++) {
+      const t = i / 12;
+      // de Casteljau
+      let level = points;
+      while (level.length > 1) {
+        level = level.slice(1).map(([px, py], j) => [
+          level[j][0] + (px - level[j][0]) * t,
+          level[j][1] + (py - level[j][1]) * t,
+        ]);
+      }
+      current.push(level[0]);
+    }
+    x = toX;
+    y = toY;
+  };
+
+  for (const command of Array.isArray(commands) ? commands : []) {
+    if (!Array.isArray(command) || typeof command[0] !== 'string') continue;
+    const [op, ...args] = command;
+    const values = args.map((value) => num(value));
+    const relative = op === op.toLowerCase();
+    const dx = relative ? x : 0;
+    const dy = relative ? y : 0;
+
+    switch (op.toUpperCase()) {
+      case 'M':
+        if (current.length > 1) polygons.push(current);
+        x = values[0] + dx;
+        y = values[1] + dy;
+        startX = x;
+        startY = y;
+        current = [[x, y]];
+        break;
+      case 'L':
+      case 'T':
+        x = values[values.length - 2] + dx;
+        y = values[values.length - 1] + dy;
+        current.push([x, y]);
+        break;
+      case 'H':
+        x = values[0] + dx;
+        current.push([x, y]);
+        break;
+      case 'V':
+        y = values[0] + dy;
+        current.push([x, y]);
+        break;
+      case 'C':
+        curve([[values[0] + dx, values[1] + dy], [values[2] + dx, values[3] + dy]], values[4] + dx, values[5] + dy);
+        break;
+      case 'Q':
+        curve([[values[0] + dx, values[1] + dy]], values[2] + dx, values[3] + dy);
+        break;
+      case 'S':
+        curve([[values[0] + dx, values[1] + dy]], values[2] + dx, values[3] + dy);
+        break;
+      case 'A':
+        x = values[5] + dx;
+        y = values[6] + dy;
+        current.push([x, y]);
+        break;
+      case 'Z':
+        x = startX;
+        y = startY;
+        break;
+    }
+  }
+  if (current.length > 1) polygons.push(current);
+  return polygons;
+}
+
+/**
+ * Local geometry of an item: filled polygons and stroked outlines in its
+ * box coordinates (shared by the SVG and PNG renderers)
+ */
+function itemGeometry(item) {
+  const { obj, width, height } = item;
+  const type = String(obj.type || '').toLowerCase();
+  const box = [[0, 0], [width, 0], [width, height], [0, height]];
+
+  switch (type) {
+    case 'rect':
+      return { shapes: [roundedRectPoints(width, height, num(obj.rx), num(obj.ry))], closed: true };
+    case 'circle':
+    case 'ellipse':
+      return { shapes: [ellipsePoints(width / 2, height / 2, width / 2, height / 2)], closed: true };
+    case 'triangle':
+      return { shapes: [[[width / 2, 0], [width, height], [0, height]]], closed: true };
+    case 'line': {
+      const x1 = num(obj.x1);
+      const y1 = num(obj.y1);
+      const x2 = num(obj.x2);
+      const y2 = num(obj.y2);
+      const minX = Math.min(x1, x2);
+      const minY = Math.min(y1, y2);
+      return { shapes: [[[x1 - minX, y1 - minY], [x2 - minX, y2 - minY]]], closed: false, line: true };
+    }
+    case 'polygon':
+    case 'polyline': {
+      const points = (obj.points || []).map((point) => [num(point.x), num(point.y)]);
+      const [ox, oy] = pointsOffset(obj, points);
+      return {
+        shapes: [points.map(([x, y]) => [x + ox, y + oy])],
+        closed: type === 'polygon',
+      };
+    }
+    case 'path': {
+      const polygons = flattenPath(obj.path);
+      const [ox, oy] = pointsOffset(obj, polygons.flat());
+      return {
+        shapes: polygons.map((points) => points.map(([x, y]) => [x + ox, y + oy])),
+        closed: true,
+      };
+    }
+    default:
+      return { shapes: [box], closed: true };
+  }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(3)).toString();
+}
+
+function pointsAttr(points) {
+  return points.map(([x, y]) => `${formatNumber(x)},${formatNumber(y)}`).join(' ');
+}
+
+function textLines(obj) {
+  return String(obj.text ?? '').split('\n');
+}
+
+/**
+ * SVG markup for one item, in its box coordinates
+ */
+function svgItem(item) {
+  const { obj, width, height } = item;
+  const type = String(obj.type || '').toLowerCase();
+  const fill = fillOf(obj);
+  const stroke = typeof obj.stroke === 'string' ? obj.stroke : null;
+  const paint = [
+    `fill="${escapeXml(fill || 'none')}"`,
+    stroke ? `stroke="${escapeXml(stroke)}" stroke-width="${num(obj.strokeWidth, 1)}"` : '',
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  if (type === 'group') return '';
+
+  if (TEXT_TYPES.has(type)) {
+    const fontSize = num(obj.fontSize, 40);
+    const lineHeight = num(obj.lineHeight, 1.16) * fontSize;
+    const anchor = { center: 'middle', right: 'end' }[obj.textAlign] || 'start';
+    const x = { middle: width / 2, end: width }[anchor] || 0;
+    const spans = textLines(obj)
+      .map((line, i) => `<tspan x="${formatNumber(x)}" y="${formatNumber(fontSize + i * lineHeight)}">${escapeXml(line)}</tspan>`)
+      .join('');
+    const font = [
+      `font-size="${fontSize}"`,
+      obj.fontFamily ? `font-family="${escapeXml(obj.fontFamily)}"` : '',
+      obj.fontWeight ? `font-weight="${escapeXml(obj.fontWeight)}"` : '',
+      obj.fontStyle ? `font-style="${escapeXml(obj.fontStyle)}"` : '',
+    ]
+      .filter(Boolean)
+      .join(' ');
+    return `<text ${font} text-anchor="${anchor}" fill="${escapeXml(fill || '#000')}">${spans}</text>`;
+  }
+
+  if (type === 'image') {
+    const href = typeof obj.src === 'string' ? ` <image href="${escapeXml(obj.src)}" width="${width}" height="${height}" preserveAspectRatio="none"/>` : '';
+    return `<rect width="${width}" height="${height}" fill="#e0e0e0"/><path d="M0 0L${width} ${height}M${width} 0L0 ${height}" stroke="#bdbdbd" vector-effect="non-scaling-stroke"/>${href}`;
+  }
+
+  if (type === 'rect') {
+    const rounded = num(obj.rx) > 0 ? ` rx="${num(obj.rx)}" ry="${num(obj.ry, num(obj.rx))}"` : '';
+    return `<rect width="${width}" height="${height}"${rounded} ${paint}/>`;
+  }
+  if (type === 'circle' || type === 'ellipse') {
+    return `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${width / 2}" ry="${height / 2}" ${paint}/>`;
+  }
+
+  const { shapes, closed, line } = itemGeometry(item);
+  if (line) {
+    return `<polyline points="${pointsAttr(shapes[0])}" fill="none" stroke="${escapeXml(stroke || '#000')}" stroke-width="${num(obj.strokeWidth, 1)}"/>`;
+  }
+  if (!['rect', 'circle', 'ellipse', 'triangle', 'polygon', 'polyline', 'path'].includes(type)) {
+    // Unknown object type: show where it is
+    return `<rect width="${width}" height="${height}" fill="none" stroke="#9e9e9e" stroke-dasharray="4 4" vector-effect="non-scaling-stroke"/>`;
+  }
+  if (type === 'path' && Array.isArray(obj.path)) {
+    const d = obj.path.filter(Array.isArray).map((command) => command.join(' ')).join(' ');
+    const [ox, oy] = pointsOffset(obj, flattenPath(obj.path).flat());
+    return `<path d="${escapeXml(d)}" transform="translate(${formatNumber(ox)} ${formatNumber(oy)})" fill-rule="evenodd" ${paint}/>`;
+  }
+  const tag = closed ? 'polygon' : 'polyline';
+  return shapes.map((points) => `<${tag} points="${pointsAttr(points)}" ${paint}/>`).join('');
+}
+
+/**
+ * Output size for a requested width, keeping the canvas aspect ratio;
+ * the height is capped at MAX_PREVIEW_HEIGHT
+ */
+function outputSize(bounds, width) {
+  const requested = Math.round(
+    Math.min(Math.max(num(width, DEFAULT_PREVIEW_WIDTH), MIN_PREVIEW_WIDTH), MAX_PREVIEW_WIDTH),
+  );
+  const ratio = Math.min(requested / bounds.width, MAX_PREVIEW_HEIGHT / bounds.height);
+  return {
+    outWidth: Math.max(1, Math.round(bounds.width * ratio)),
+    outHeight: Math.max(1, Math.min(MAX_PREVIEW_HEIGHT, Math.round(bounds.height * ratio))),
+    ratio,
+  };
+}
+
+/**
+ * Items to outline: `selected` paths (e.g. the clicked search result)
+ * and `matched` paths (everything the search matched in this preset)
+ */
+function highlightedItems(scene, { selected = [], matched = [] }) {
+  const selectedSet = new Set(selected);
+  const matchedSet = new Set(matched);
+  const highlights = [];
+
+  for (const item of scene.items) {
+    if (selectedSet.has(item.path)) highlights.push({ item, kind: 'selected' });
+    else if (matchedSet.has(item.path)) highlights.push({ item, kind: 'matched' });
+  }
+  // Selected outlines on top
+  return highlights.sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'selected' ? 1 : -1));
+}
+
+/**
+ * Render a preset as SVG
+ *
+ * @param {object} json - the preset
+ * @param {object} options
+ * @param {number} options.width - output width in pixels
+ * @param {string[]} options.selected - tree paths to outline strongly
+ * @param {string[]} options.matched - tree paths to outline lightly
+ */
+function renderSvg(json, { width, selected, matched } = {}) {
+  const scene = buildScene(json);
+  const { bounds } = scene;
+  const { outWidth, outHeight, ratio } = outputSize(bounds, width);
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${outWidth}" height="${outHeight}" viewBox="${formatNumber(bounds.x)} ${formatNumber(bounds.y)} ${formatNumber(bounds.width)} ${formatNumber(bounds.height)}">`,
+    `<rect x="${formatNumber(bounds.x)}" y="${formatNumber(bounds.y)}" width="${formatNumber(bounds.width)}" height="${formatNumber(bounds.height)}" fill="${escapeXml(scene.background || '#fff')}"/>`,
+  ];
+
+  for (const item of scene.items) {
+    const markup = svgItem(item);
+    if (!markup) continue;
+    const opacity = item.opacity < 1 ? ` opacity="${formatNumber(item.opacity)}"` : '';
+    parts.push(`<g transform="matrix(${item.matrix.map(formatNumber).join(' ')})"${opacity} data-path="${item.path}">${markup}</g>`);
+  }
+
+  for (const { item, kind } of highlightedItems(scene, { selected, matched })) {
+    const strokeWidth = (kind === 'selected' ? 3 : 2) / ratio;
+    parts.push(
+      `<polygon points="${pointsAttr(boxCorners(item))}" fill="${kind === 'selected' ? 'rgba(229,57,53,0.12)' : 'none'}" stroke="${HIGHLIGHT_COLORS[kind]}" stroke-width="${formatNumber(strokeWidth)}"${kind === 'matched' ? ` stroke-dasharray="${formatNumber(6 / ratio)} ${formatNumber(4 / ratio)}"` : ''}/>`,
+    );
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Render a preset as PNG (same options as renderSvg)
+ */
+function renderPng(json, { width, selected, matched } = {}) {
+  const scene = buildScene(json);
+  const { bounds } = scene;
+  const { outWidth, outHeight, ratio } = outputSize(bounds, width);
+  const view = multiply(scale(ratio, ratio), translate(-bounds.x, -bounds.y));
+
+  const canvas = createCanvas(outWidth, outHeight, parseColor(scene.background || '#fff'));
+  const withOpacity = (color, opacity) => color && [color[0], color[1], color[2], color[3] * opacity];
+
+  for (const item of scene.items) {
+    const { obj } = item;
+    const type = String(obj.type || '').toLowerCase();
+    if (type === 'group') continue;
+
+    const matrix = multiply(view, item.matrix);
+    const toPixels = (points) => points.map((point) => apply(matrix, point));
+    // Stroke widths scale with the object, like fabric's default
+    const scaleFactor = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    const fill = withOpacity(parseColor(fillOf(obj)), item.opacity);
+    const stroke = withOpacity(parseColor(obj.stroke), item.opacity);
+    const strokeWidth = num(obj.strokeWidth, 1) * scaleFactor;
+
+    if (TEXT_TYPES.has(type)) {
+      // Greeked text: one bar per line, about as long as the line
+      const fontSize = num(obj.fontSize, 40);
+      const lineHeight = num(obj.lineHeight, 1.16) * fontSize;
+      const color = withOpacity(parseColor(fillOf(obj) || '#000'), item.opacity * 0.6);
+      textLines(obj).forEach((line, i) => {
+        const length = Math.min(item.width, line.trim().length * fontSize * 0.5);
+        if (length <= 0) return;
+        const x = { center: (item.width - length) / 2, right: item.width - length }[obj.textAlign] || 0;
+        const y = i * lineHeight + fontSize * 0.3;
+        fillPolygons(canvas, [toPixels([[x, y], [x + length, y], [x + length, y + fontSize * 0.6], [x, y + fontSize * 0.6]])], color);
+      });
+      continue;
+    }
+
+    if (type === 'image') {
+      const box = toPixels([[0, 0], [item.width, 0], [item.width, item.height], [0, item.height]]);
+      fillPolygons(canvas, [box], withOpacity(parseColor('#e0e0e0'), item.opacity));
+      const lineColor = withOpacity(parseColor('#bdbdbd'), item.opacity);
+      strokePolyline(canvas, [box[0], box[2]], { color: lineColor });
+      strokePolyline(canvas, [box[1], box[3]], { color: lineColor });
+      continue;
+    }
+
+    const { shapes, closed, line } = itemGeometry(item);
+    const pixels = shapes.map(toPixels);
+    if (line) {
+      strokePolyline(canvas, pixels[0], { width: strokeWidth, color: stroke || parseColor('#000') });
+      continue;
+    }
+    if (!['rect', 'circle', 'ellipse', 'triangle', 'polygon', 'polyline', 'path'].includes(type)) {
+      strokePolyline(canvas, pixels[0], { closed: true, color: parseColor('#9e9e9e') });
+      continue;
+    }
+    if (closed || type === 'polyline') fillPolygons(canvas, pixels, fill);
+    if (stroke) {
+      for (const points of pixels) strokePolyline(canvas, points, { closed, width: strokeWidth, color: stroke });
+    }
+  }
+
+  for (const { item, kind } of highlightedItems(scene, { selected, matched })) {
+    const corners = boxCorners(item).map((point) => apply(view, point));
+    const color = parseColor(HIGHLIGHT_COLORS[kind]);
+    if (kind === 'selected') fillPolygons(canvas, [corners], [color[0], color[1], color[2], 0.12]);
+    strokePolyline(canvas, corners, { closed: true, width: kind === 'selected' ? 3 : 2, color });
+  }
+
+  return encodePng(canvas);
+}
+
+module.exports = {
+  buildScene,
+  renderSvg,
+  renderPng,
+};
@@ -0,0 +1,455 @@
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_COLUMNS = ['fileName', 'conrolTitle', 'type', 'className'];
+
+// Operators that don't take a value
+const VALUELESS_OPERATORS = new Set(['exists', 'missing', 'empty']);
+
+const OPERATORS = new Set([
+  'includes',
+  'exact',
+  'not-exact',
+  'not-includes',
+  'regex',
+  'exists',
+  'missing',
+  'empty',
+  'lt',
+  'gt',
+  'between',
+  'in',
+]);
+
+const LOGICS = new Set(['and', 'or', 'not']);
+
+// Search results: one row per matching object, or one per preset
+// containing matching objects
+const SEARCH_MODES = new Set(['objects', 'presets']);
+
+// Structural scopes (see buildQuery)
+const SCOPES = new Set(['all', 'top-level', 'nested']);
+
+// Search result pages
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Error raised for invalid filters or query options (reported as 400)
+ */
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+/**
+ * Convert a property path to MongoDB dot notation (filters[0].type -> filters.0.type)
+ */
+function toMongoPath(path) {
+  return path.replace(/\[(\d+)\]/g, '.$1');
+}
+
+/**
+ * Resolve a property path against a document. Non-numeric segments applied
+ * to an array are mapped over its elements, the same way MongoDB matches them.
+ */
+function getPathValue(value, segments) {
+  if (segments.length === 0) return value;
+  if (value === null || typeof value !== 'object') return undefined;
+
+  const [segment, ...rest] = segments;
+
+  if (Array.isArray(value) && !/^\d+$/.test(segment)) {
+    const values = value
+      .map((item) => getPathValue(item, segments))
+      .filter((item) => item !== undefined);
+    return values.length > 0 ? values : undefined;
+  }
+
+  return getPathValue(value[segment], rest);
+}
+
+/**
+ * Whether a stored value is a container that should be walked into
+ * (ObjectIds and Dates are treated as scalars)
+ */
+function isNested(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !(value instanceof Date) &&
+    !value._bsontype
+  );
+}
+
+/**
+ * Flatten a value into leaf columns: objects become `prefix.key`,
+ * arrays become `prefix[index]`, empty containers stay as JSON
+ */
+function flattenValue(prefix, value, out) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      out[prefix] = '[]';
+      return;
+    }
+    value.forEach((item, index) => flattenValue(`${prefix}[${index}]`, item, out));
+  } else if (isNested(value)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      out[prefix] = '{}';
+      return;
+    }
+    for (const [key, item] of entries) {
+      flattenValue(`${prefix}.${key}`, item, out);
+    }
+  } else if (value instanceof ObjectId) {
+    out[prefix] = value.toHexString();
+  } else if (value !== undefined) {
+    out[prefix] = value;
+  }
+}
+
+/**
+ * Flatten one stored document into a row for the selected columns.
+ * When `expanded` (column -> Set) is given, the leaf keys produced by
+ * each column are recorded in it.
+ */
+function flattenRow(doc, columns, expanded) {
+  const row = {};
+  for (const col of columns) {
+    const cells = {};
+    flattenValue(col, getPathValue(doc, toMongoPath(col).split('.')), cells);
+    if (expanded) {
+      for (const key of Object.keys(cells)) {
+        expanded.get(col).add(key);
+      }
+    }
+    Object.assign(row, cells);
+  }
+  return row;
+}
+
+/**
+ * Column tracker for flattenRow(): one Set of leaf keys per selected column
+ */
+function createColumnTracker(columns) {
+  return new Map(columns.map((col) => [col, new Set()]));
+}
+
+/**
+ * Resolve tracked leaf keys into the final column list. Columns that never
+ * produced a value keep their own name.
+ */
+function resolveColumns(expanded) {
+  const flatColumns = [];
+  for (const [col, keys] of expanded) {
+    flatColumns.push(...(keys.size > 0 ? keys : [col]));
+  }
+  return flatColumns;
+}
+
+/**
+ * Turn stored documents into flat rows for the selected columns.
+ * Columns that resolve to nested values expand into their leaf paths,
+ * in the order they are first seen.
+ */
+function flattenResults(docs, columns) {
+  const expanded = createColumnTracker(columns);
+  const rows = docs.map((doc) => flattenRow(doc, columns, expanded));
+  return { columns: resolveColumns(expanded), rows };
+}
+
+/**
+ * Project the top-level field of each column; nested paths are
+ * resolved and flattened after the query
+ */
+function buildProjection(columns) {
+  const projection = { _id: 0 };
+  for (const col of columns) {
+    projection[toMongoPath(col).split('.')[0]] = 1;
+  }
+  return projection;
+}
+
+/**
+ * Normalize a sort spec to [{ column, direction }]. Entries may be
+ * objects or strings ("type", "-type" or "type:desc").
+ */
+function normalizeSort(sort) {
+  if (!sort) return [];
+  const list = Array.isArray(sort) ? sort : String(sort).split(',');
+
+  return list
+    .map((entry) => {
+      let column;
+      let direction = 'asc';
+
+      if (typeof entry === 'string') {
+        const text = entry.trim();
+        if (text.startsWith('-')) {
+          column = text.slice(1);
+          direction = 'desc';
+        } else {
+          [column, direction = 'asc'] = text.split(':');
+        }
+      } else if (entry && typeof entry === 'object') {
+        column = entry.column;
+        direction = entry.direction || 'asc';
+      }
+
+      column = String(column || '').trim();
+      direction = String(direction).trim().toLowerCase();
+      if (!column) return null;
+      if (direction !== 'asc' && direction !== 'desc') {
+        throw new QueryError(`Invalid sort direction "${direction}" for ${column}`);
+      }
+      return { column, direction };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * MongoDB sort for a normalized sort spec. `_id` breaks ties, so
+ * paging through equal values is stable.
+ */
+function buildSort(sort) {
+  const spec = {};
+  for (const { column, direction } of sort) {
+    spec[toMongoPath(column)] = direction === 'desc' ? -1 : 1;
+  }
+  if (!('_id' in spec)) spec._id = 1;
+  return spec;
+}
+
+/**
+ * Normalize a list option that may be an array or a comma-separated string
+ */
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validate a structural scope (default: all objects)
+ */
+function normalizeScope(scope) {
+  const value = scope || 'all';
+  if (!SCOPES.has(value)) {
+    throw new QueryError(`Unknown scope "${value}"`);
+  }
+  return value;
+}
+
+/**
+ * Validate a search mode (default: one row per object)
+ */
+function normalizeMode(mode) {
+  const value = mode || 'objects';
+  if (!SEARCH_MODES.has(value)) {
+    throw new QueryError(`Unknown search mode "${value}" (use objects or presets)`);
+  }
+  return value;
+}
+
+/**
+ * Offset/limit for a page of results
+ */
+function normalizePage({ offset, limit } = {}) {
+  return {
+    offset: Math.max(parseInt(offset, 10) || 0, 0),
+    limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+  };
+}
+
+/**
+ * Escape regex special characters
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a filter value (handle booleans and numbers)
+ */
+function parseValue(val) {
+  const lower = val.toLowerCase();
+  if (lower === 'true') return true;
+  if (lower === 'false') return false;
+  if (!isNaN(val) && val.trim() !== '') return Number(val);
+  return null; // not a special type
+}
+
+/**
+ * Parse a numeric filter value or fail with a readable error
+ */
+function parseNumber(val, filter) {
+  const trimmed = String(val ?? '').trim();
+  if (trimmed === '' || isNaN(trimmed)) {
+    throw new QueryError(
+      `Filter "${filter.property}" ${filter.operator} needs a number, got "${val ?? ''}"`,
+    );
+  }
+  return Number(trimmed);
+}
+
+/**
+ * Match a single value exactly: booleans/numbers as-is, strings case-insensitive
+ */
+function exactMatcher(val) {
+  const parsedValue = parseValue(val);
+  return parsedValue !== null
+    ? parsedValue
+    : new RegExp(`^${escapeRegex(val)}$`, 'i');
+}
+
+/**
+ * Build the MongoDB condition for a single property filter
+ */
+function buildCondition(filter) {
+  const operator = filter.operator || 'includes';
+  const value = typeof filter.value === 'string' ? filter.value.trim() : filter.value;
+
+  if (!OPERATORS.has(operator)) {
+    throw new QueryError(`Unknown operator "${operator}"`);
+  }
+  if (!VALUELESS_OPERATORS.has(operator) && (value === undefined || value === '')) {
+    throw new QueryError(`Filter "${filter.property}" ${operator} needs a value`);
+  }
+
+  const path = toMongoPath(filter.property.trim());
+  const str = String(value ?? '');
+  const parsedValue = VALUELESS_OPERATORS.has(operator) ? null : parseValue(str);
+
+  switch (operator) {
+    case 'exact':
+      return { [path]: exactMatcher(str) };
+    case 'not-exact':
+      return parsedValue !== null
+        ? { [path]: { $ne: parsedValue } }
+        : { [path]: { $not: exactMatcher(str) } };
+    case 'includes':
+      // Boolean/number - exact match (can't do "includes" on non-strings)
+      return parsedValue !== null
+        ? { [path]: parsedValue }
+        : { [path]: { $regex: escapeRegex(str), $options: 'i' } };
+    case 'not-includes':
+      return parsedValue !== null
+        ? { [path]: { $ne: parsedValue } }
+        : { [path]: { $not: new RegExp(escapeRegex(str), 'i') } };
+    case 'regex':
+      try {
+        new RegExp(str);
+      } catch (error) {
+        throw new QueryError(`Invalid regex for "${filter.property}": ${error.message}`);
+      }
+      return { [path]: { $regex: str, $options: 'i' } };
+    case 'exists':
+      return { [path]: { $exists: true, $ne: null } };
+    case 'missing':
+      // Matches both absent and null
+      return { [path]: null };
+    case 'empty':
+      return { [path]: '' };
+    case 'lt':
+      return { [path]: { $lt: parseNumber(str, filter) } };
+    case 'gt':
+      return { [path]: { $gt: parseNumber(str, filter) } };
+    case 'between': {
+      const low = parseNumber(str, filter);
+      const high = parseNumber(filter.value2, filter);
+      return { [path]: { $gte: Math.min(low, high), $lte: Math.max(low, high) } };
+    }
+    case 'in': {
+      const values = str
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+      return { [path]: { $in: values.map(exactMatcher) } };
+    }
+  }
+}
+
+/**
+ * Build the MongoDB query for a filter node: either a property filter
+ * ({ property, operator, value, value2 }) or a group ({ logic, filters }).
+ * `and` groups match when every child matches, `or` when any does and
+ * `not` when none does. Returns null for nodes that don't constrain anything.
+ */
+function buildFilterQuery(node) {
+  if (!node) return null;
+
+  // A plain array is the original flat filter list (AND)
+  if (Array.isArray(node)) {
+    return buildFilterQuery({ logic: 'and', filters: node });
+  }
+
+  if (node.filters !== undefined || node.logic !== undefined) {
+    const logic = node.logic || 'and';
+    if (!LOGICS.has(logic)) {
+      throw new QueryError(`Unknown filter group logic "${logic}"`);
+    }
+
+    const children = (node.filters || []).map(buildFilterQuery).filter(Boolean);
+    if (children.length === 0) return null;
+
+    if (logic === 'not') return { $nor: children };
+    if (children.length === 1) return children[0];
+    return logic === 'or' ? { $or: children } : { $and: children };
+  }
+
+  if (typeof node.property !== 'string' || !node.property.trim()) {
+    throw new QueryError('Every filter needs a property name');
+  }
+  return buildCondition(node);
+}
+
+/**
+ * Build the MongoDB query for a search: filters plus structural scope
+ * (`top-level` objects only or `nested` objects inside groups only) and
+ * free `text`, matched against the objects text index (see textSearch.js)
+ */
+function buildQuery({ filters, scope, text } = {}) {
+  const clauses = [];
+
+  const structure = normalizeScope(scope);
+  if (structure === 'top-level') {
+    clauses.push({ 'tree.depth': 0 });
+  } else if (structure === 'nested') {
+    clauses.push({ 'tree.depth': { $gt: 0 } });
+  }
+
+  const filterQuery = buildFilterQuery(filters);
+  if (filterQuery) clauses.push(filterQuery);
+
+  let query = {};
+  if (clauses.length === 1) query = clauses[0];
+  if (clauses.length > 1) query = { $and: clauses };
+
+  // $text has to be at the top level of the query
+  const search = typeof text === 'string' ? text.trim() : '';
+  return search ? { $text: { $search: search }, ...query } : query;
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  QueryError,
+  toMongoPath,
+  getPathValue,
+  isNested,
+  flattenValue,
+  flattenRow,
+  createColumnTracker,
+  resolveColumns,
+  flattenResults,
+  buildProjection,
+  normalizeSort,
+  buildSort,
+  toList,
+  normalizeScope,
+  normalizeMode,
+  normalizePage,
+  escapeRegex,
+  buildQuery,
+};
@@ -0,0 +1,165 @@
+const zlib = require('zlib');
+const { parseCssColor } = require('./colors');
+
+/**
+ * Minimal CPU rasterizer for preset previews: filled polygons (even-odd),
+ * stroked polylines and PNG encoding. No anti-aliasing; good enough for
+ * thumbnails without native dependencies.
+ */
+
+/**
+ * Parse a CSS color into [r, g, b, a] (a in 0..1); null for none/transparent.
+ * Anything else unknown is grey.
+ */
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+  if (!text || text === 'none' || text === 'transparent') return null;
+  return parseCssColor(text) || [128, 128, 128, 1];
+}
+
+function createCanvas(width, height, background = null) {
+  const data = Buffer.alloc(width * height * 4, 255);
+  const canvas = { width, height, data };
+  if (background) {
+    fillPolygons(canvas, [[[0, 0], [width, 0], [width, height], [0, height]]], background);
+  }
+  return canvas;
+}
+
+function blendPixel(canvas, x, y, [r, g, b, a]) {
+  const i = (y * canvas.width + x) * 4;
+  const { data } = canvas;
+  data[i] = Math.round(r * a + data[i] * (1 - a));
+  data[i + 1] = Math.round(g * a + data[i + 1] * (1 - a));
+  data[i + 2] = Math.round(b * a + data[i + 2] * (1 - a));
+}
+
+/**
+ * Fill polygons (arrays of [x, y] in pixels) with the even-odd rule,
+ * sampling at pixel centers
+ */
+function fillPolygons(canvas, polygons, color) {
+  if (!color || color[3] <= 0) return;
+
+  const edges = [];
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const points of polygons) {
+    for (let i = 0; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      const [x2, y2] = points[(i + 1) % points.length];
+      if (y1 === y2) continue;
+      edges.push([x1, y1, x2, y2]);
+      minY = Math.min(minY, y1, y2);
+      maxY = Math.max(maxY, y1, y2);
+    }
+  }
+  if (edges.length === 0) return;
+
+  const top = Math.max(0, Math.floor(minY));
+  const bottom = Math.min(canvas.height - 1, Math.ceil(maxY));
+
+  for (let y = top; y <= bottom; y++) {
+    const sampleY = y + 0.5;
+    const crossings = [];
+    for (const [x1, y1, x2, y2] of edges) {
+      if ((sampleY >= y1 && sampleY < y2) || (sampleY >= y2 && sampleY < y1)) {
+        crossings.push(x1 + ((sampleY - y1) / (y2 - y1)) * (x2 - x1));
+      }
+    }
+    crossings.sort((a, b) => a - b);
+
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const start = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const end = Math.min(canvas.width - 1, Math.floor(crossings[i + 1] - 0.5));
+      for (let x = start; x <= end; x++) blendPixel(canvas, x, y, color);
+    }
+  }
+}
+
+/**
+ * Stroke a polyline as one quad per segment
+ */
+function strokePolyline(canvas, points, { closed = false, width = 1, color }) {
+  if (!color || color[3] <= 0 || points.length < 2) return;
+  const half = Math.max(width, 1) / 2;
+  const count = closed ? points.length : points.length - 1;
+
+  const quads = [];
+  for (let i = 0; i < count; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (length === 0) continue;
+
+    // Extend each segment by half the width so corners are covered
+    const ux = ((x2 - x1) / length) * half;
+    const uy = ((y2 - y1) / length) * half;
+    quads.push([
+      [x1 - ux - uy, y1 - uy + ux],
+      [x2 + ux - uy, y2 + uy + ux],
+      [x2 + ux + uy, y2 + uy - ux],
+      [x1 - ux + uy, y1 - uy - ux],
+    ]);
+  }
+
+  // One quad at a time, so overlapping segments don't cancel out
+  for (const quad of quads) fillPolygons(canvas, [quad], color);
+}
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode the canvas as an 8-bit RGBA PNG
+ */
+function encodePng(canvas) {
+  const { width, height, data } = canvas;
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  // Each scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = {
+  parseColor,
+  createCanvas,
+  fillPolygons,
+  strokePolyline,
+  encodePng,
+};
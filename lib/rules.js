@@ -0,0 +1,364 @@
+const { ObjectId } = require('mongodb');
+const { QueryError, buildQuery, normalizeScope } = require('./query');
+const { resolvePresetFilters } = require('./presetSearch');
+
+// Severities, with the weight each violation adds to a preset's health score
+const SEVERITIES = { error: 10, warning: 3, info: 1 };
+
+// Violations stored per rule and source; past this a rule is almost
+// certainly wrong. Rules that hit it list the source in `truncatedSources`
+// and are reported as truncated, their counts being lower bounds.
+const MAX_VIOLATIONS_PER_RULE = 50000;
+
+const INSERT_BATCH_SIZE = 1000;
+
+// Rule runs replace violations, so only one runs at a time, from any
+// process: the `rules` lock document works like the sync lock. Others wait
+// for it, up to RULES_LOCK_WAIT_MS.
+const RULES_LOCK_TTL_MS = 2 * 60 * 1000;
+const RULES_LOCK_HEARTBEAT_MS = 30 * 1000;
+const RULES_LOCK_WAIT_MS = 60 * 1000;
+const RULES_LOCK_POLL_MS = 500;
+
+/**
+ * Raised when the rules lock stays taken for too long (reported as 409)
+ */
+class RulesLockedError extends Error {
+  constructor() {
+    super('Lint rules are being checked by another run; try again shortly');
+    this.name = 'RulesLockedError';
+  }
+}
+
+/**
+ * Run `fn` holding the rules lock, waiting for it if another run has it
+ *
+ * @throws {RulesLockedError} when it isn't released within RULES_LOCK_WAIT_MS
+ */
+async function withRulesLock(db, fn) {
+  const owner = new ObjectId();
+  const deadline = Date.now() + RULES_LOCK_WAIT_MS;
+
+  for (;;) {
+    const now = new Date();
+    try {
+      await db.collection('locks').updateOne(
+        { _id: 'rules', expiresAt: { $lt: now } },
+        {
+          $set: {
+            owner,
+            acquiredAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + RULES_LOCK_TTL_MS),
+          },
+        },
+        { upsert: true },
+      );
+      break;
+    } catch (error) {
+      // The upsert collides with the live lock document
+      if (error.code !== 11000) throw error;
+    }
+    if (Date.now() >= deadline) throw new RulesLockedError();
+    await new Promise((resolve) => setTimeout(resolve, RULES_LOCK_POLL_MS));
+  }
+
+  const heartbeat = setInterval(async () => {
+    try {
+      await db
+        .collection('locks')
+        .updateOne(
+          { _id: 'rules', owner },
+          { $set: { expiresAt: new Date(Date.now() + RULES_LOCK_TTL_MS) } },
+        );
+    } catch (error) {
+      console.error('Rules lock heartbeat failed:', error.message);
+    }
+  }, RULES_LOCK_HEARTBEAT_MS);
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    await db.collection('locks').deleteOne({ _id: 'rules', owner });
+  }
+}
+
+/**
+ * Validate and normalize a rule.
+ *
+ * A rule selects the objects it applies to with `where` and lists the
+ * conditions they must meet in `must`, both as filter trees in the
+ * /api/search vocabulary. Objects matching `where` but not `must` are
+ * violations. E.g. "image objects must have src under the CDN":
+ * where `type exact image`, must `src regex ^https://cdn\.`.
+ */
+function normalizeRule(input) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new QueryError('Rules need a name');
+  }
+
+  const severity = input.severity || 'warning';
+  if (!(severity in SEVERITIES)) {
+    throw new QueryError(`Unknown severity "${severity}" (use error, warning or info)`);
+  }
+
+  const scope = normalizeScope(input.scope);
+
+  const where = input.where || { logic: 'and', filters: [] };
+  const must = input.must || { logic: 'and', filters: [] };
+  buildQuery({ filters: where, scope });
+  if (Object.keys(buildQuery({ filters: must })).length === 0) {
+    throw new QueryError('Rules need at least one "must" condition');
+  }
+
+  return {
+    name,
+    description: input.description ? String(input.description).trim() : '',
+    severity,
+    enabled: input.enabled !== false,
+    scope,
+    where,
+    must,
+  };
+}
+
+/**
+ * MongoDB query for the objects violating a rule
+ */
+function buildViolationQuery(rule) {
+  return {
+    $and: [
+      buildQuery({ filters: rule.where, scope: rule.scope }),
+      { $nor: [buildQuery({ filters: rule.must })] },
+    ],
+  };
+}
+
+/**
+ * Check rules against the objects and store the violations.
+ * Old violations in the checked range (a source, a rule, or everything)
+ * are replaced. Runs one at a time (see withRulesLock).
+ *
+ * @param {Db} db
+ * @param {object} options
+ * @param {string} options.source - only check this source's objects
+ * @param {ObjectId} options.ruleId - only check this rule
+ * @returns {Promise<{ruleCount: number, violationCount: number,
+ *   truncatedRules: string[]}>} truncatedRules are the names of rules
+ *   that hit MAX_VIOLATIONS_PER_RULE in a source
+ */
+function runRules(db, { source, ruleId } = {}) {
+  return withRulesLock(db, () => checkRules(db, { source, ruleId }));
+}
+
+async function checkRules(db, { source, ruleId }) {
+  const ruleQuery = { enabled: true };
+  if (ruleId) ruleQuery._id = ruleId;
+  const rules = await db.collection('rules').find(ruleQuery).toArray();
+
+  const scope = {};
+  if (source) scope.source = source;
+  if (ruleId) scope.ruleId = ruleId;
+  await db.collection('violations').deleteMany(scope);
+  await db
+    .collection('rules')
+    .updateMany(
+      ruleId ? { _id: ruleId } : {},
+      source ? { $pull: { truncatedSources: source } } : { $set: { truncatedSources: [] } },
+    );
+
+  // The violation limit is per source
+  const sources = source ? [source] : await db.collection('objects').distinct('source');
+
+  const detectedAt = new Date().toISOString();
+  let violationCount = 0;
+  const truncatedRules = [];
+
+  for (const rule of rules) {
+    const violationQuery = await resolvePresetFilters(db, buildViolationQuery(rule));
+    const truncatedSources = [];
+
+    for (const ruleSource of sources) {
+      const ruleViolations = await storeViolations(db, rule, {
+        query: { $and: [violationQuery, { source: ruleSource }] },
+        detectedAt,
+      });
+      violationCount += ruleViolations.count;
+      if (ruleViolations.truncated) truncatedSources.push(ruleSource);
+    }
+
+    if (truncatedSources.length > 0) {
+      truncatedRules.push(rule.name);
+      await db
+        .collection('rules')
+        .updateOne({ _id: rule._id }, { $addToSet: { truncatedSources: { $each: truncatedSources } } });
+    }
+  }
+
+  return { ruleCount: rules.length, violationCount, truncatedRules };
+}
+
+/**
+ * Store the violations of one rule matching `query`, at most
+ * MAX_VIOLATIONS_PER_RULE of them
+ *
+ * @returns {Promise<{count: number, truncated: boolean}>}
+ */
+async function storeViolations(db, rule, { query, detectedAt }) {
+  // One more than is kept tells whether there were too many
+  const cursor = db
+    .collection('objects')
+    .find(query)
+    .project({ source: 1, fileName: 1, id: 1, name: 1, type: 1, conrolTitle: 1, 'tree.path': 1 })
+    .limit(MAX_VIOLATIONS_PER_RULE + 1);
+
+  let count = 0;
+  let truncated = false;
+  let batch = [];
+
+  for await (const obj of cursor) {
+    if (count + batch.length === MAX_VIOLATIONS_PER_RULE) {
+      truncated = true;
+      break;
+    }
+
+    batch.push({
+      _id: new ObjectId(),
+      ruleId: rule._id,
+      ruleName: rule.name,
+      severity: rule.severity,
+      source: obj.source,
+      fileName: obj.fileName,
+      objectId: obj._id,
+      object: {
+        id: obj.id,
+        name: obj.name,
+        type: obj.type,
+        conrolTitle: obj.conrolTitle,
+        path: obj.tree ? obj.tree.path : undefined,
+      },
+      detectedAt,
+    });
+
+    if (batch.length === INSERT_BATCH_SIZE) {
+      await db.collection('violations').insertMany(batch, { ordered: false });
+      count += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await db.collection('violations').insertMany(batch, { ordered: false });
+    count += batch.length;
+  }
+
+  return { count, truncated };
+}
+
+/**
+ * Delete a rule and its violations (not while rules are being checked)
+ *
+ * @returns {Promise<boolean>} false if there was no such rule
+ */
+function deleteRule(db, ruleId) {
+  return withRulesLock(db, async () => {
+    const { deletedCount } = await db.collection('rules').deleteOne({ _id: ruleId });
+    if (deletedCount === 0) return false;
+
+    await db.collection('violations').deleteMany({ ruleId });
+    return true;
+  });
+}
+
+/**
+ * Presets ranked by health score (weighted violation count), worst first,
+ * plus violation counts per rule
+ */
+async function getHealth(db, { source, limit = 500 } = {}) {
+  const match = source ? { source } : {};
+  const weight = {
+    $switch: {
+      branches: Object.entries(SEVERITIES).map(([severity, points]) => ({
+        case: { $eq: ['$severity', severity] },
+        then: points,
+      })),
+      default: 0,
+    },
+  };
+  const countOf = (severity) => ({
+    $sum: { $cond: [{ $eq: ['$severity', severity] }, 1, 0] },
+  });
+
+  const presets = await db
+    .collection('violations')
+    .aggregate(
+      [
+        { $match: match },
+        {
+          $group: {
+            _id: { source: '$source', fileName: '$fileName' },
+            score: { $sum: weight },
+            violationCount: { $sum: 1 },
+            errorCount: countOf('error'),
+            warningCount: countOf('warning'),
+            infoCount: countOf('info'),
+            rules: { $addToSet: '$ruleName' },
+          },
+        },
+        { $sort: { score: -1, violationCount: -1, _id: 1 } },
+        { $limit: limit },
+      ],
+      { allowDiskUse: true },
+    )
+    .toArray();
+
+  const rules = await db
+    .collection('violations')
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$ruleId',
+          name: { $first: '$ruleName' },
+          severity: { $first: '$severity' },
+          violationCount: { $sum: 1 },
+          files: { $addToSet: { source: '$source', fileName: '$fileName' } },
+        },
+      },
+      { $addFields: { presetCount: { $size: '$files' } } },
+      { $project: { files: 0 } },
+      { $sort: { violationCount: -1 } },
+    ])
+    .toArray();
+
+  // Rules that hit MAX_VIOLATIONS_PER_RULE have more violations than stored
+  const truncated = await db
+    .collection('rules')
+    .find(source ? { truncatedSources: source } : { 'truncatedSources.0': { $exists: true } })
+    .project({ _id: 1 })
+    .toArray();
+  const truncatedIds = new Set(truncated.map((rule) => rule._id.toHexString()));
+
+  return {
+    presets: presets.map(({ _id, rules: ruleNames, ...counts }) => ({
+      ..._id,
+      ...counts,
+      rules: ruleNames.sort(),
+    })),
+    rules: rules.map(({ _id, ...rule }) => ({
+      ruleId: _id,
+      ...rule,
+      truncated: truncatedIds.has(_id.toHexString()),
+    })),
+    truncated: truncatedIds.size > 0,
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  RulesLockedError,
+  normalizeRule,
+  runRules,
+  deleteRule,
+  getHealth,
+};
@@ -0,0 +1,46 @@
+const {
+  QueryError,
+  buildQuery,
+  normalizeSort,
+  toList,
+  normalizeScope,
+  normalizeMode,
+} = require('./query');
+
+/**
+ * Validate and normalize a saved query: name, description, owner and the
+ * search itself (filters tree, columns, scope, sort, mode, text) exactly as /api/search
+ * takes it. Invalid filters raise QueryError like a search would.
+ */
+function normalizeSavedQuery(input) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new QueryError('Saved queries need a name');
+  }
+
+  const scope = normalizeScope(input.scope);
+
+  const filters = input.filters || { logic: 'and', filters: [] };
+  buildQuery({ filters, scope });
+
+  const columns = toList(input.columns);
+  if (columns.length === 0) {
+    throw new QueryError('Saved queries need at least one column');
+  }
+
+  return {
+    name,
+    description: input.description ? String(input.description).trim() : '',
+    owner: input.owner ? String(input.owner).trim() : '',
+    filters,
+    columns,
+    scope,
+    sort: normalizeSort(input.sort),
+    mode: normalizeMode(input.mode),
+    text: input.text ? String(input.text).trim() : '',
+  };
+}
+
+module.exports = {
+  normalizeSavedQuery,
+};
@@ -0,0 +1,141 @@
+// Sync schedules: either an interval ("30m", "6h", "1d") or a
+// standard 5-field cron expression ("0 */6 * * *"), in server local time
+
+const INTERVAL_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// How far ahead to look for the next cron match before giving up
+// (e.g. "0 0 31 2 *" never matches)
+const CRON_SEARCH_YEARS = 5;
+
+/**
+ * Raised for schedules that can't be parsed
+ */
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+/**
+ * Parse one cron field into the set of values it allows
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new ScheduleError(`Invalid ${name} "${part}" in cron expression`);
+    }
+
+    const [, range, from, to, step] = match;
+    const start = range === '*' ? min : Number(from);
+    const end = range === '*' ? max : to !== undefined ? Number(to) : step ? max : start;
+    const increment = step ? Number(step) : 1;
+
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new ScheduleError(`${name} "${part}" is out of range (${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a schedule string.
+ * @returns {{type: 'interval', minutes: number} | {type: 'cron', fields: Set[], restrictedDays: boolean}}
+ */
+function parseSchedule(text) {
+  const schedule = String(text || '').trim();
+
+  const interval = /^(\d+)\s*([mhd])$/i.exec(schedule);
+  if (interval) {
+    const minutes = Number(interval[1]) * INTERVAL_UNITS[interval[2].toLowerCase()];
+    if (minutes < 1) throw new ScheduleError('Interval must be at least 1 minute');
+    return { type: 'interval', minutes };
+  }
+
+  const parts = schedule.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new ScheduleError(
+      `Invalid schedule "${schedule}" (use an interval like "30m", "6h", "1d" or a 5-field cron expression)`,
+    );
+  }
+
+  const fields = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+
+  // 7 is Sunday too
+  if (fields[4].has(7)) fields[4].add(0);
+
+  return {
+    type: 'cron',
+    fields,
+    // Cron ORs day-of-month and day-of-week when both are restricted
+    restrictedDays: parts[2] !== '*' && parts[4] !== '*',
+  };
+}
+
+/**
+ * Whether a date's day matches the cron day-of-month / day-of-week fields
+ */
+function cronDayMatches({ fields, restrictedDays }, date) {
+  const dom = fields[2].has(date.getDate());
+  const dow = fields[4].has(date.getDay());
+  return restrictedDays ? dom || dow : dom && dow;
+}
+
+/**
+ * Next time a schedule is due strictly after `from`, or null if never
+ */
+function nextRunAt(text, from = new Date()) {
+  const schedule = parseSchedule(text);
+
+  if (schedule.type === 'interval') {
+    return new Date(from.getTime() + schedule.minutes * 60 * 1000);
+  }
+
+  const [minutes, hours, , months] = schedule.fields;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from);
+  limit.setFullYear(limit.getFullYear() + CRON_SEARCH_YEARS);
+
+  // Skip whole months, days and hours that can't match
+  while (date < limit) {
+    if (!months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!cronDayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  ScheduleError,
+  parseSchedule,
+  nextRunAt,
+};
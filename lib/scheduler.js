@@ -0,0 +1,221 @@
+const { SyncLockedError } = require('./sync');
+const { startSyncJob } = require('./jobs');
+const { SourceError, matchesPatterns } = require('./sources');
+const { nextRunAt } = require('./schedule');
+
+// How often due schedules and queued S3 events are checked
+const SCHEDULER_TICK_MS = 30 * 1000;
+
+/**
+ * Turn an S3 event notification (optionally wrapped in an SNS message)
+ * into bucket/key pairs. Keys arrive URL-encoded, with spaces as "+".
+ */
+function parseS3Event(payload) {
+  let event = payload || {};
+  if (event.Type === 'Notification' && typeof event.Message === 'string') {
+    try {
+      event = JSON.parse(event.Message) || {};
+    } catch (error) {
+      throw new SourceError(`SNS message is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Sent once when the notification is configured
+  if (event.Event === 's3:TestEvent') return [];
+
+  if (!Array.isArray(event.Records)) {
+    throw new SourceError('Expected an S3 event notification with a Records list');
+  }
+
+  // Records without an `s3` part come from other services and are skipped
+  return event.Records.flatMap((record, index) => {
+    if (!record || !record.s3) return [];
+
+    const bucket = record.s3.bucket && record.s3.bucket.name;
+    const key = record.s3.object && record.s3.object.key;
+    if (typeof bucket !== 'string' || typeof key !== 'string') {
+      throw new SourceError(`S3 event record ${index} has no bucket name or object key`);
+    }
+
+    try {
+      return [
+        {
+          eventName: record.eventName,
+          bucket,
+          key: decodeURIComponent(key.replace(/\+/g, ' ')),
+        },
+      ];
+    } catch (error) {
+      throw new SourceError(`S3 event record ${index} has a malformed object key`);
+    }
+  });
+}
+
+/**
+ * Queue the files named in an S3 event for a targeted sync of every
+ * source they belong to. With `source`, the keys are matched against that
+ * profile only; for a local source they are paths inside its directory,
+ * which lets a local stand-in post events without S3.
+ *
+ * @returns {object} queued file names per source
+ */
+async function enqueueS3Event(db, payload, { source } = {}) {
+  const records = parseS3Event(payload);
+  const profiles = await db
+    .collection('sources')
+    .find(source ? { _id: source } : { type: 's3' })
+    .toArray();
+
+  if (source && profiles.length === 0) {
+    throw new SourceError(`Unknown source "${source}"`);
+  }
+
+  const queued = new Map();
+
+  for (const { bucket, key } of records) {
+    for (const profile of profiles) {
+      let fileName = key;
+      if (profile.type === 's3') {
+        const prefix = profile.prefix || '';
+        if (profile.bucket !== bucket || !key.startsWith(prefix)) continue;
+        fileName = key.slice(prefix.length);
+      }
+      if (!matchesPatterns(fileName, profile)) continue;
+
+      if (!queued.has(profile._id)) queued.set(profile._id, new Set());
+      queued.get(profile._id).add(fileName);
+    }
+  }
+
+  for (const [name, files] of queued) {
+    await db.collection('syncQueue').updateOne(
+      { _id: name },
+      {
+        $addToSet: { files: { $each: [...files] } },
+        $setOnInsert: { queuedAt: new Date().toISOString() },
+      },
+      { upsert: true },
+    );
+  }
+
+  return Object.fromEntries(
+    [...queued].map(([name, files]) => [name, [...files]]),
+  );
+}
+
+/**
+ * Start a targeted sync for the oldest queued source, if no sync is running.
+ * Keys queued while a sync runs wait for the next tick.
+ */
+async function drainSyncQueue(db) {
+  const entries = await db
+    .collection('syncQueue')
+    .find({})
+    .sort({ queuedAt: 1 })
+    .toArray();
+
+  for (const entry of entries) {
+    const claimed = await db.collection('syncQueue').findOneAndDelete({ _id: entry._id });
+    if (!claimed) continue;
+
+    try {
+      return await startSyncJob(db, {
+        source: claimed._id,
+        trigger: 's3-event',
+        files: claimed.files,
+      });
+    } catch (error) {
+      if (error instanceof SyncLockedError) {
+        // Busy: put the files back for the next tick
+        await db.collection('syncQueue').updateOne(
+          { _id: claimed._id },
+          {
+            $addToSet: { files: { $each: claimed.files } },
+            $setOnInsert: { queuedAt: claimed.queuedAt },
+          },
+          { upsert: true },
+        );
+        return null;
+      }
+      // E.g. the source was deleted since; drop its queued files
+      console.error(`Queued sync of "${claimed._id}" failed to start:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Start the sync of the most overdue scheduled source, if no sync is running
+ */
+async function runDueSchedules(db) {
+  const now = new Date();
+  const due = await db
+    .collection('sources')
+    .find({ schedule: { $type: 'string' }, nextSyncAt: { $lte: now } })
+    .sort({ nextSyncAt: 1 })
+    .toArray();
+
+  for (const source of due) {
+    // Claim this slot so only one process starts it; missed runs
+    // (e.g. while the server was down) collapse into one
+    const next = nextRunAt(source.schedule, now);
+    const { modifiedCount } = await db
+      .collection('sources')
+      .updateOne(
+        { _id: source._id, nextSyncAt: source.nextSyncAt },
+        { $set: { nextSyncAt: next } },
+      );
+    if (modifiedCount === 0) continue;
+
+    try {
+      const job = await startSyncJob(db, { source: source._id, trigger: 'schedule' });
+      await db
+        .collection('sources')
+        .updateOne({ _id: source._id }, { $set: { lastScheduledSyncAt: now } });
+      return job;
+    } catch (error) {
+      if (error instanceof SyncLockedError) {
+        // Busy: keep it due so the next tick tries again
+        await db
+          .collection('sources')
+          .updateOne(
+            { _id: source._id, nextSyncAt: next },
+            { $set: { nextSyncAt: source.nextSyncAt } },
+          );
+        return null;
+      }
+      console.error(`Scheduled sync of "${source._id}" failed to start:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check queued S3 events and due schedules every SCHEDULER_TICK_MS
+ */
+function startScheduler(db) {
+  let busy = false;
+
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await drainSyncQueue(db);
+      await runDueSchedules(db);
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    } finally {
+      busy = false;
+    }
+  };
+
+  return setInterval(tick, SCHEDULER_TICK_MS);
+}
+
+module.exports = {
+  enqueueS3Event,
+  drainSyncQueue,
+  startScheduler,
+};
@@ -0,0 +1,419 @@
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { ScheduleError, nextRunAt } = require('./schedule');
+const { toList } = require('./query');
+
+const SOURCE_TYPES = new Set(['s3', 'local']);
+
+// The bucket and naming rules the analyzer was originally hard-coded to
+const DEFAULT_SOURCE = {
+  name: 'default',
+  type: 's3',
+  bucket: 'gipper-static-assets',
+  prefix: 'default_presets_update/',
+  include: ['template_*.json'],
+  exclude: ['*school_*'],
+};
+
+/**
+ * Error raised for invalid source profiles (reported as 400)
+ */
+class SourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceError';
+  }
+}
+
+/**
+ * Raised when writing a file that changed since it was read
+ */
+class SourceConflictError extends Error {
+  constructor(fileName) {
+    super(`${fileName} changed at the source since it was read`);
+    this.name = 'SourceConflictError';
+  }
+}
+
+// Local sources are directories inside this one (sync reads them and bulk
+// edits write to them and next to them, so they must not reach the rest
+// of the server's filesystem)
+const LOCAL_SOURCE_ROOT = path.resolve(
+  process.env.LOCAL_SOURCE_ROOT || path.join(__dirname, '..', 'local-presets'),
+);
+
+// Where S3 sources keep backups of files before overwriting them,
+// as <prefix><backup id>/<original key>; never listed as presets
+const BACKUP_PREFIX = process.env.PRESET_BACKUP_PREFIX || 'preset-backups/';
+
+/**
+ * Compile a glob to a RegExp: `*` and `?` stay within a path segment,
+ * `**` crosses segments (`**\/` also matches no directory at all)
+ */
+function globToRegExp(glob) {
+  let re = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+
+    if (c === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Whether a file name passes a profile's include/exclude patterns.
+ * Without include patterns every .json file is included.
+ */
+function matchesPatterns(fileName, { include = [], exclude = [] }) {
+  const included =
+    include.length > 0
+      ? include.some((glob) => globToRegExp(glob).test(fileName))
+      : fileName.endsWith('.json');
+
+  return included && !exclude.some((glob) => globToRegExp(glob).test(fileName));
+}
+
+/**
+ * Validate and normalize a source profile
+ */
+function normalizeSource(input) {
+  const name = String(input.name || '').trim();
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new SourceError(
+      'Source name is required (letters, digits, "-", "_" and "." only)',
+    );
+  }
+  if (!SOURCE_TYPES.has(input.type)) {
+    throw new SourceError(`Unknown source type "${input.type}" (use s3 or local)`);
+  }
+
+  const profile = {
+    name,
+    type: input.type,
+    description: input.description ? String(input.description) : '',
+    include: toList(input.include),
+    exclude: toList(input.exclude),
+    schedule: input.schedule ? String(input.schedule).trim() : null,
+  };
+
+  if (profile.schedule) {
+    try {
+      if (!nextRunAt(profile.schedule)) {
+        throw new ScheduleError(`Schedule "${profile.schedule}" never runs`);
+      }
+    } catch (error) {
+      if (error instanceof ScheduleError) throw new SourceError(error.message);
+      throw error;
+    }
+  }
+
+  if (input.type === 's3') {
+    if (!input.bucket) throw new SourceError('S3 sources need a bucket');
+    profile.bucket = String(input.bucket).trim();
+    profile.prefix = input.prefix ? String(input.prefix).trim() : '';
+    if (input.region) profile.region = String(input.region).trim();
+  } else {
+    if (!input.directory) throw new SourceError('Local sources need a directory');
+    profile.directory = String(input.directory).trim();
+    resolveLocalDirectory(profile.directory);
+  }
+
+  return profile;
+}
+
+// One S3 client per region
+const s3Clients = new Map();
+
+function getS3Client(region = process.env.AWS_REGION || 'us-east-1') {
+  if (!s3Clients.has(region)) {
+    s3Clients.set(
+      region,
+      new S3Client({
+        region,
+        credentials: process.env.AWS_ACCESS_KEY_ID
+          ? {
+              accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+              secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+            }
+          : undefined,
+      }),
+    );
+  }
+  return s3Clients.get(region);
+}
+
+/**
+ * Source backed by an S3 bucket/prefix
+ */
+function createS3Source(profile) {
+  const client = getS3Client(profile.region);
+
+  return {
+    profile,
+
+    /**
+     * List preset files with metadata
+     */
+    async list() {
+      const files = [];
+      let continuationToken = null;
+
+      do {
+        const command = new ListObjectsV2Command({
+          Bucket: profile.bucket,
+          Prefix: profile.prefix,
+          ContinuationToken: continuationToken,
+        });
+
+        const response = await client.send(command);
+
+        for (const obj of response.Contents || []) {
+          const key = obj.Key;
+          if (key.startsWith(BACKUP_PREFIX)) continue;
+          const fileName = key.slice(profile.prefix.length);
+
+          if (matchesPatterns(fileName, profile)) {
+            files.push({
+              key,
+              fileName,
+              lastModified: obj.LastModified.toISOString(),
+              etag: obj.ETag,
+            });
+          }
+        }
+
+        continuationToken = response.IsTruncated
+          ? response.NextContinuationToken
+          : null;
+      } while (continuationToken);
+
+      return files;
+    },
+
+    /**
+     * Metadata of one file (as in list()), or null if it doesn't exist
+     * or is a backup
+     */
+    async stat(fileName) {
+      const key = profile.prefix + fileName;
+      if (key.startsWith(BACKUP_PREFIX)) return null;
+
+      try {
+        const response = await client.send(
+          new HeadObjectCommand({ Bucket: profile.bucket, Key: key }),
+        );
+        return {
+          key,
+          fileName,
+          lastModified: response.LastModified.toISOString(),
+          etag: response.ETag,
+        };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Download and parse a file
+     */
+    async read(file) {
+      const command = new GetObjectCommand({
+        Bucket: profile.bucket,
+        Key: file.key,
+      });
+
+      const response = await client.send(command);
+      const bodyString = await response.Body.transformToString();
+      return JSON.parse(bodyString);
+    },
+
+    /**
+     * Copy a file (as from stat()/list()) to the backup area under `id`
+     * @returns {string} where the copy is
+     */
+    async backup(file, id) {
+      const backupKey = `${BACKUP_PREFIX}${id}/${file.key}`;
+      await client.send(
+        new CopyObjectCommand({
+          Bucket: profile.bucket,
+          CopySource: `${profile.bucket}/${file.key.split('/').map(encodeURIComponent).join('/')}`,
+          Key: backupKey,
+          CopySourceIfMatch: file.etag,
+        }),
+      );
+      return `s3://${profile.bucket}/${backupKey}`;
+    },
+
+    /**
+     * Overwrite a file with JSON, only if it still has the etag `ifMatch`
+     */
+    async write(fileName, json, { ifMatch } = {}) {
+      try {
+        await client.send(
+          new PutObjectCommand({
+            Bucket: profile.bucket,
+            Key: profile.prefix + fileName,
+            Body: JSON.stringify(json),
+            ContentType: 'application/json',
+            IfMatch: ifMatch,
+          }),
+        );
+      } catch (error) {
+        if (error.name === 'PreconditionFailed' || error.$metadata?.httpStatusCode === 412) {
+          throw new SourceConflictError(fileName);
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Absolute path of a local source directory, which has to be inside
+ * LOCAL_SOURCE_ROOT (not the root itself, so backups stay inside too)
+ */
+function resolveLocalDirectory(directory) {
+  const resolved = path.resolve(LOCAL_SOURCE_ROOT, directory);
+  const relative = path.relative(LOCAL_SOURCE_ROOT, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new SourceError(`Local sources must be directories inside ${LOCAL_SOURCE_ROOT}`);
+  }
+  return resolved;
+}
+
+/**
+ * Source backed by a directory under LOCAL_SOURCE_ROOT on the server's
+ * filesystem
+ */
+function createLocalSource(profile) {
+  const root = resolveLocalDirectory(profile.directory);
+
+  function describe(fullPath, fileName, stat) {
+    return {
+      key: fullPath,
+      fileName,
+      lastModified: stat.mtime.toISOString(),
+      // No content hash without reading the file; size + mtime is enough
+      // to tell versions apart
+      etag: `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+    };
+  }
+
+  async function walk(dir, files) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        await walk(fullPath, files);
+      } else if (entry.isFile()) {
+        const fileName = path.relative(root, fullPath).split(path.sep).join('/');
+        if (!matchesPatterns(fileName, profile)) continue;
+
+        files.push(describe(fullPath, fileName, await fs.stat(fullPath)));
+      }
+    }
+
+    return files;
+  }
+
+  return {
+    profile,
+
+    async list() {
+      try {
+        return await walk(root, []);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new SourceError(`Directory ${root} does not exist`);
+        }
+        throw error;
+      }
+    },
+
+    async stat(fileName) {
+      const fullPath = path.resolve(root, fileName);
+      const relative = path.relative(root, fullPath);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+
+      try {
+        const stat = await fs.stat(fullPath);
+        return stat.isFile() ? describe(fullPath, fileName, stat) : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async read(file) {
+      return JSON.parse(await fs.readFile(file.key, 'utf8'));
+    },
+
+    /**
+     * Copy a file to <directory>.backups/<id>/, next to the source directory
+     * so it is never listed as a preset
+     */
+    async backup(file, id) {
+      const backupPath = path.join(`${root}.backups`, id, file.fileName);
+      await fs.mkdir(path.dirname(backupPath), { recursive: true });
+      await fs.copyFile(file.key, backupPath);
+      return backupPath;
+    },
+
+    async write(fileName, json, { ifMatch } = {}) {
+      const current = await this.stat(fileName);
+      if (!current || (ifMatch && current.etag !== ifMatch)) {
+        throw new SourceConflictError(fileName);
+      }
+      await fs.writeFile(current.key, JSON.stringify(json));
+    },
+  };
+}
+
+/**
+ * Open a source profile for listing and reading preset files
+ */
+function openSource(profile) {
+  return profile.type === 'local'
+    ? createLocalSource(profile)
+    : createS3Source(profile);
+}
+
+module.exports = {
+  DEFAULT_SOURCE,
+  SourceError,
+  SourceConflictError,
+  globToRegExp,
+  matchesPatterns,
+  normalizeSource,
+  getS3Client,
+  openSource,
+};
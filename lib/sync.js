@@ -0,0 +1,783 @@
+const { ObjectId } = require('mongodb');
+const { EXTRACT_VERSION, extractPreset, extractObjects } = require('./extract');
+const { invalidatePropertyCatalog } = require('./catalog');
+const { DEFAULT_SOURCE, SourceError, openSource } = require('./sources');
+const { runRules } = require('./rules');
+const { mapWithConcurrency } = require('./concurrency');
+const { extractAssetRefs } = require('./assets');
+const { findObjectStyles } = require('./inventory');
+
+// Files downloaded at once, and files written per Mongo batch
+const SYNC_CONCURRENCY = parseInt(process.env.SYNC_CONCURRENCY, 10) || 8;
+const SYNC_BATCH_SIZE = parseInt(process.env.SYNC_BATCH_SIZE, 10) || 25;
+
+// The sync lock expires unless the running sync keeps renewing it, so a
+// crashed process can't block syncing forever
+const LOCK_TTL_MS = 2 * 60 * 1000;
+const LOCK_HEARTBEAT_MS = 30 * 1000;
+
+/**
+ * Raised when another sync holds the lock (reported as 409)
+ */
+class SyncLockedError extends Error {
+  constructor(lock) {
+    super(
+      `A sync of "${lock.source}" is already running (started ${lock.acquiredAt})`,
+    );
+    this.name = 'SyncLockedError';
+    this.lock = lock;
+  }
+}
+
+/**
+ * Raised inside a sync when its job was cancelled
+ */
+class SyncCancelledError extends Error {
+  constructor() {
+    super('Sync was cancelled');
+    this.name = 'SyncCancelledError';
+  }
+}
+
+/**
+ * Take the global sync lock or throw SyncLockedError.
+ * The lock is a single document that can only be taken once expired.
+ */
+async function acquireSyncLock(db, { owner, source, trigger }) {
+  const now = new Date();
+
+  try {
+    await db.collection('locks').updateOne(
+      { _id: 'sync', expiresAt: { $lt: now } },
+      {
+        $set: {
+          owner,
+          source,
+          trigger,
+          acquiredAt: now.toISOString(),
+          expiresAt: new Date(now.getTime() + LOCK_TTL_MS),
+        },
+      },
+      { upsert: true },
+    );
+  } catch (error) {
+    // The upsert collides with the live lock document
+    if (error.code === 11000) {
+      const lock = await db.collection('locks').findOne({ _id: 'sync' });
+      throw new SyncLockedError(lock || {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Keep renewing the lock while a sync runs. `state.lost` is set if the
+ * lock expired and was taken over, so the sync can stop.
+ */
+function startLockHeartbeat(db, owner, state) {
+  return setInterval(async () => {
+    try {
+      const { matchedCount } = await db.collection('locks').updateOne(
+        { _id: 'sync', owner },
+        { $set: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) } },
+      );
+      if (matchedCount === 0) state.lost = true;
+    } catch (error) {
+      console.error('Sync lock heartbeat failed:', error.message);
+    }
+  }, LOCK_HEARTBEAT_MS);
+}
+
+async function releaseSyncLock(db, owner) {
+  await db.collection('locks').deleteOne({ _id: 'sync', owner });
+}
+
+/**
+ * The live sync lock, or null when no sync is running
+ */
+async function getActiveSyncLock(db) {
+  return db
+    .collection('locks')
+    .findOne({ _id: 'sync', expiresAt: { $gte: new Date() } });
+}
+
+/**
+ * Mark runs left "running" by a dead process as interrupted.
+ * Only safe while nobody holds the sync lock.
+ */
+async function markInterruptedRuns(db) {
+  if (await getActiveSyncLock(db)) return;
+
+  await db
+    .collection('syncRuns')
+    .updateMany(
+      { status: 'running' },
+      { $set: { status: 'interrupted', finishedAt: new Date().toISOString() } },
+    );
+}
+
+// Cached result of the replica set / mongos check
+let transactionSupport = null;
+
+/**
+ * Transactions need a replica set or sharded cluster
+ */
+async function supportsTransactions(db) {
+  if (transactionSupport === null) {
+    const hello = await db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return transactionSupport;
+}
+
+/**
+ * Load a source profile by name
+ */
+async function getSourceProfile(db, name = DEFAULT_SOURCE.name) {
+  const profile = await db.collection('sources').findOne({ _id: name });
+  if (!profile) {
+    throw new SourceError(`Unknown source "${name}"`);
+  }
+  const { _id, ...rest } = profile;
+  return { name: _id, ...rest };
+}
+
+/**
+ * Write one batch of downloaded files.
+ *
+ * New objects are tagged with the run id and inserted before the file's
+ * previous objects are removed, so an interruption never leaves a preset
+ * half-deleted: re-running the batch clears this run's partial inserts
+ * first, and the old rows stay until their replacement is in place.
+ * With a replica set the whole batch is one transaction.
+ */
+async function writeBatch(db, run, batch) {
+  const { source } = run;
+  const fileNames = batch.map(({ file }) => file.fileName);
+  const now = new Date().toISOString();
+
+  const objects = [];
+  const assetRefs = [];
+  const presetOps = [];
+  const versionOps = [];
+  const metadataOps = [];
+  const added = [];
+  const changed = [];
+
+  for (const { file, json, preset, objects: fileObjects, assetRefs: fileRefs, existing } of batch) {
+    for (const obj of fileObjects) {
+      obj._syncId = run._id;
+      objects.push(obj);
+    }
+    assetRefs.push(...fileRefs);
+
+    presetOps.push({
+      replaceOne: {
+        filter: { source, fileName: file.fileName },
+        replacement: {
+          source,
+          fileName: file.fileName,
+          lastModified: file.lastModified,
+          objectCount: fileObjects.length,
+          preset,
+        },
+        upsert: true,
+      },
+    });
+
+    // Keep this version of the preset so it can be diffed later;
+    // re-syncing an unchanged version doesn't duplicate it
+    const versionKey = {
+      source,
+      fileName: file.fileName,
+      etag: file.etag,
+      lastModified: file.lastModified,
+    };
+    versionOps.push({
+      updateOne: {
+        filter: versionKey,
+        update: {
+          $setOnInsert: {
+            ...versionKey,
+            syncId: run._id,
+            syncedAt: now,
+            objectCount: fileObjects.length,
+            // Stored as text: preset keys aren't guaranteed to be valid field names
+            content: JSON.stringify(json),
+          },
+        },
+        upsert: true,
+      },
+    });
+
+    metadataOps.push({
+      updateOne: {
+        filter: { source, fileName: file.fileName },
+        update: {
+          $set: {
+            source,
+            fileName: file.fileName,
+            lastModified: file.lastModified,
+            etag: file.etag,
+            objectCount: fileObjects.length,
+            extractVersion: EXTRACT_VERSION,
+            syncedAt: now,
+          },
+        },
+        upsert: true,
+      },
+    });
+
+    // A batch retried after an interruption is only logged once
+    if (run.logged.has(file.fileName)) continue;
+
+    if (existing) {
+      const previousObjectCount = existing.objectCount || 0;
+      changed.push({
+        fileName: file.fileName,
+        reason:
+          existing.lastModified !== file.lastModified
+            ? 'modified'
+            : 're-extracted',
+        lastModified: file.lastModified,
+        previousLastModified: existing.lastModified,
+        objectCount: fileObjects.length,
+        previousObjectCount,
+        objectDelta: fileObjects.length - previousObjectCount,
+      });
+    } else {
+      added.push({
+        fileName: file.fileName,
+        lastModified: file.lastModified,
+        objectCount: fileObjects.length,
+        objectDelta: fileObjects.length,
+      });
+    }
+  }
+
+  const write = async (session) => {
+    const options = session ? { session } : {};
+    const inBatch = { source, fileName: { $in: fileNames } };
+
+    await db
+      .collection('objects')
+      .deleteMany({ ...inBatch, _syncId: run._id }, options);
+    if (objects.length > 0) {
+      await db
+        .collection('objects')
+        .insertMany(objects, { ...options, ordered: false });
+    }
+    await db
+      .collection('objects')
+      .deleteMany({ ...inBatch, _syncId: { $ne: run._id } }, options);
+
+    await db.collection('assetRefs').deleteMany(inBatch, options);
+    if (assetRefs.length > 0) {
+      await db
+        .collection('assetRefs')
+        .insertMany(assetRefs, { ...options, ordered: false });
+    }
+    await db.collection('presets').bulkWrite(presetOps, options);
+
+    await db.collection('presetVersions').bulkWrite(versionOps, options);
+    await db.collection('syncRuns').updateOne(
+      { _id: run._id },
+      {
+        $push: { added: { $each: added }, changed: { $each: changed } },
+        $set: { checkpointAt: now },
+      },
+      options,
+    );
+    // Written last: once a file's metadata is current, a resumed run skips it
+    await db.collection('fileMetadata').bulkWrite(metadataOps, options);
+    await db.collection('syncFailures').deleteMany(inBatch, options);
+  };
+
+  if (await supportsTransactions(db)) {
+    const session = db.client.startSession();
+    try {
+      await session.withTransaction(() => write(session));
+    } finally {
+      await session.endSession();
+    }
+  } else {
+    await write(null);
+  }
+
+  for (const entry of [...added, ...changed]) run.logged.add(entry.fileName);
+  return objects.length;
+}
+
+/**
+ * Record files that couldn't be downloaded, parsed or extracted, both on
+ * the run and in `syncFailures` (one entry per file until it syncs again).
+ * A failed file keeps its previously synced objects and metadata, so the
+ * next sync tries it again.
+ */
+async function recordFailures(db, run, failures) {
+  const failedAt = new Date().toISOString();
+
+  await db.collection('syncFailures').bulkWrite(
+    failures.map(({ file, stage, error }) => ({
+      updateOne: {
+        filter: { source: run.source, fileName: file.fileName },
+        update: {
+          $set: {
+            stage,
+            error,
+            lastModified: file.lastModified,
+            failedAt,
+            syncId: run._id,
+          },
+          $setOnInsert: { firstFailedAt: failedAt },
+          $inc: { attempts: 1 },
+        },
+        upsert: true,
+      },
+    })),
+  );
+
+  await db.collection('syncRuns').updateOne(
+    { _id: run._id },
+    {
+      $push: {
+        failed: {
+          $each: failures.map(({ file, stage, error }) => ({
+            fileName: file.fileName,
+            stage,
+            error,
+            lastModified: file.lastModified,
+          })),
+        },
+      },
+    },
+  );
+}
+
+/**
+ * Download, parse and extract one file. Failures are returned with the
+ * stage they happened in instead of being thrown.
+ */
+async function loadFile(presetSource, file, source) {
+  let json;
+  try {
+    json = await presetSource.read(file);
+  } catch (error) {
+    return {
+      file,
+      stage: error instanceof SyntaxError ? 'parse' : 'download',
+      error: error.message,
+    };
+  }
+
+  try {
+    const objects = extractObjects(json, file.fileName, source);
+    // Fonts and colors each object uses, for the inventory
+    for (const obj of objects) obj._styles = findObjectStyles(obj);
+    return {
+      file,
+      json,
+      preset: extractPreset(json),
+      objects,
+      assetRefs: extractAssetRefs(objects),
+    };
+  } catch (error) {
+    return { file, stage: 'extract', error: error.message };
+  }
+}
+
+/**
+ * Sync a preset source to MongoDB (incremental), recording the run in `syncRuns`.
+ *
+ * Only one sync runs at a time (see acquireSyncLock()). If the last run of
+ * this source was interrupted, it is resumed: files it already wrote are
+ * up to date in `fileMetadata` and are skipped, and its change log continues.
+ *
+ * @param {Db} db
+ * @param {string} sourceName - source profile to sync
+ * @param {function} onProgress - callback for progress updates
+ * @param {object} options
+ * @param {string} options.trigger - what started the sync (ui, api...)
+ * @param {boolean} options.retryFailed - only re-sync the files listed in
+ *   `syncFailures` (never resumes or deletes anything)
+ * @param {string[]} options.files - only check these files (e.g. from an S3
+ *   event) instead of listing the whole source; missing ones are deleted
+ * @param {AbortSignal} options.signal - cancels the sync between batches
+ */
+async function syncSource(
+  db,
+  sourceName = DEFAULT_SOURCE.name,
+  onProgress = () => {},
+  { trigger = 'manual', retryFailed = false, files = null, signal } = {},
+) {
+  const profile = await getSourceProfile(db, sourceName);
+  const owner = new ObjectId();
+
+  await acquireSyncLock(db, { owner, source: profile.name, trigger });
+  const lockState = { lost: false };
+  const heartbeat = startLockHeartbeat(db, owner, lockState);
+
+  try {
+    // With the lock held, an unfinished run of this source can't be live
+    const [lastRun] = await db
+      .collection('syncRuns')
+      .find({ source: profile.name })
+      .sort({ startedAt: -1 })
+      .limit(1)
+      .toArray();
+
+    // Only full syncs are resumed, and only by full syncs: an S3 event or
+    // retry run covers just its own files, so a full sync starts afresh
+    let run;
+    if (
+      !retryFailed &&
+      !files &&
+      lastRun &&
+      ['running', 'interrupted'].includes(lastRun.status) &&
+      !lastRun.retryFailed &&
+      !lastRun.files
+    ) {
+      run = lastRun;
+      await db.collection('syncRuns').updateOne(
+        { _id: run._id },
+        {
+          $set: { status: 'running' },
+          $unset: { finishedAt: '' },
+          $push: { resumedAt: new Date().toISOString() },
+        },
+      );
+      onProgress({
+        stage: 'resuming',
+        message: `Resuming interrupted sync from ${new Date(run.startedAt).toLocaleString()}`,
+      });
+    } else {
+      run = {
+        _id: new ObjectId(),
+        source: profile.name,
+        trigger,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        retryFailed,
+        ...(files ? { files } : {}),
+        added: [],
+        changed: [],
+        deleted: [],
+        failed: [],
+      };
+      await db.collection('syncRuns').insertOne(run);
+    }
+
+    // Files already in the change log, so a resumed batch isn't logged twice
+    run.failed = run.failed || [];
+    run.logged = new Set(
+      [...run.added, ...run.changed, ...run.deleted].map((entry) => entry.fileName),
+    );
+
+    onProgress({
+      stage: 'started',
+      message: `Syncing ${profile.name}...`,
+      source: profile.name,
+      syncId: run._id.toHexString(),
+    });
+
+    try {
+      const result = await runSync(db, run, openSource(profile), onProgress, {
+        lockState,
+        signal,
+      });
+
+      await db.collection('syncRuns').updateOne(
+        { _id: run._id },
+        {
+          $set: {
+            status: 'completed',
+            finishedAt: new Date().toISOString(),
+            elapsed: Number(result.elapsed),
+            totals: {
+              processedCount: result.processedCount,
+              failedCount: result.failedCount,
+              fileCount: result.fileCount,
+              objectCount: result.objectCount,
+              objectDelta: result.sourceObjectCount - run.previousObjectCount,
+              violationCount: result.violationCount,
+            },
+          },
+        },
+      );
+
+      return { ...result, syncId: run._id.toHexString() };
+    } catch (error) {
+      const cancelled = error instanceof SyncCancelledError;
+      await db.collection('syncRuns').updateOne(
+        { _id: run._id },
+        {
+          $set: {
+            status: cancelled ? 'cancelled' : 'failed',
+            finishedAt: new Date().toISOString(),
+            error: error.message,
+          },
+        },
+      );
+      // Batches written before the cancel are kept, so keys may have changed
+      if (cancelled) await invalidatePropertyCatalog(db);
+      throw error;
+    }
+  } finally {
+    clearInterval(heartbeat);
+    await releaseSyncLock(db, owner);
+  }
+}
+
+/**
+ * Run the incremental sync: download changed files with bounded
+ * concurrency and write them in batches, logging changes on `run`
+ */
+async function runSync(db, run, presetSource, onProgress, { lockState, signal }) {
+  const { source } = run;
+  console.log(`=== Starting sync of source "${source}" ===`);
+  const startTime = Date.now();
+
+  // Get source files: all of them, or just the ones named on the run
+  let sourceFiles;
+  if (run.files) {
+    onProgress({ stage: 'listing', message: `Checking ${run.files.length} files in ${source}...` });
+    const stats = await mapWithConcurrency(run.files, SYNC_CONCURRENCY, (fileName) =>
+      presetSource.stat(fileName),
+    );
+    sourceFiles = stats.filter(Boolean);
+  } else {
+    onProgress({ stage: 'listing', message: `Listing ${source} files...` });
+    console.log('Listing source files...');
+    sourceFiles = await presetSource.list();
+  }
+  console.log(`Found ${sourceFiles.length} files in ${source}`);
+  onProgress({ stage: 'listing', message: `Found ${sourceFiles.length} files in ${source}` });
+
+  // Get existing file metadata from MongoDB
+  const existingFiles = await db
+    .collection('fileMetadata')
+    .find(run.files ? { source, fileName: { $in: run.files } } : { source })
+    .toArray();
+  const existingMap = new Map(existingFiles.map((f) => [f.fileName, f]));
+
+  // A resumed run keeps the count from when it first started
+  if (run.previousObjectCount === undefined) {
+    run.previousObjectCount = await db
+      .collection('objects')
+      .countDocuments({ source });
+    await db
+      .collection('syncRuns')
+      .updateOne(
+        { _id: run._id },
+        { $set: { previousObjectCount: run.previousObjectCount } },
+      );
+  }
+
+  // Files that failed last time, when retrying only those
+  const retryNames = run.retryFailed
+    ? new Set(
+        (
+          await db.collection('syncFailures').find({ source }).toArray()
+        ).map((f) => f.fileName),
+      )
+    : null;
+
+  // Find files to sync
+  const filesToSync = [];
+  const sourceFileNames = new Set();
+
+  for (const sourceFile of sourceFiles) {
+    sourceFileNames.add(sourceFile.fileName);
+    const existing = existingMap.get(sourceFile.fileName);
+
+    if (retryNames) {
+      if (retryNames.has(sourceFile.fileName)) filesToSync.push(sourceFile);
+    } else if (
+      !existing ||
+      existing.lastModified !== sourceFile.lastModified ||
+      existing.extractVersion !== EXTRACT_VERSION
+    ) {
+      filesToSync.push(sourceFile);
+    }
+  }
+
+  // Find files to delete (in DB but no longer at the source)
+  const filesToDelete = retryNames
+    ? []
+    : existingFiles
+        .filter((f) => !sourceFileNames.has(f.fileName))
+        .map((f) => f.fileName);
+
+  // Failures of files that are gone from the source no longer apply
+  await db.collection('syncFailures').deleteMany(
+    run.files
+      ? { source, fileName: { $in: run.files.filter((f) => !sourceFileNames.has(f)) } }
+      : { source, fileName: { $nin: [...sourceFileNames] } },
+  );
+
+  console.log(`Files to sync: ${filesToSync.length}`);
+  console.log(`Files to delete: ${filesToDelete.length}`);
+  console.log(`Files unchanged: ${sourceFiles.length - filesToSync.length}`);
+
+  onProgress({
+    stage: 'analyzing',
+    message: `Files to sync: ${filesToSync.length} | Unchanged: ${sourceFiles.length - filesToSync.length} | To delete: ${filesToDelete.length}`,
+  });
+
+  if (signal && signal.aborted) {
+    throw new SyncCancelledError();
+  }
+
+  // Delete removed files (metadata last, so a retry still sees them)
+  if (filesToDelete.length > 0) {
+    await db
+      .collection('objects')
+      .deleteMany({ source, fileName: { $in: filesToDelete } });
+    await db
+      .collection('assetRefs')
+      .deleteMany({ source, fileName: { $in: filesToDelete } });
+    await db
+      .collection('presets')
+      .deleteMany({ source, fileName: { $in: filesToDelete } });
+
+    const deleted = filesToDelete
+      .filter((fileName) => !run.logged.has(fileName))
+      .map((fileName) => {
+        const previousObjectCount = existingMap.get(fileName).objectCount || 0;
+        return { fileName, previousObjectCount, objectDelta: -previousObjectCount };
+      });
+    await db
+      .collection('syncRuns')
+      .updateOne({ _id: run._id }, { $push: { deleted: { $each: deleted } } });
+
+    await db
+      .collection('fileMetadata')
+      .deleteMany({ source, fileName: { $in: filesToDelete } });
+    console.log(`Deleted ${filesToDelete.length} files`);
+  }
+
+  // Process new/changed files
+  let processedCount = 0;
+  let failedCount = 0;
+  let totalObjects = 0;
+
+  for (let start = 0; start < filesToSync.length; start += SYNC_BATCH_SIZE) {
+    if (signal && signal.aborted) {
+      throw new SyncCancelledError();
+    }
+    if (lockState.lost) {
+      throw new Error('Sync lock was lost; stopping so another sync can proceed');
+    }
+
+    const files = filesToSync.slice(start, start + SYNC_BATCH_SIZE);
+
+    // Download and parse
+    const loaded = await mapWithConcurrency(files, SYNC_CONCURRENCY, (file) =>
+      loadFile(presetSource, file, source),
+    );
+
+    const failures = loaded.filter((entry) => entry.stage);
+    for (const { file, stage, error } of failures) {
+      console.error(`Error processing ${file.fileName} (${stage}):`, error);
+    }
+    if (failures.length > 0) {
+      await recordFailures(db, run, failures);
+    }
+    failedCount += failures.length;
+
+    const batch = loaded
+      .filter((entry) => !entry.stage)
+      .map((entry) => ({ ...entry, existing: existingMap.get(entry.file.fileName) }));
+    if (batch.length > 0) {
+      totalObjects += await writeBatch(db, run, batch);
+    }
+    processedCount += batch.length;
+
+    const done = Math.min(start + files.length, filesToSync.length);
+    const pct = Math.round((done / filesToSync.length) * 100);
+    onProgress({
+      stage: 'syncing',
+      message: `Syncing: ${done}/${filesToSync.length} files (${pct}%)`,
+      processed: done,
+      total: filesToSync.length,
+    });
+    console.log(`Processed ${done}/${filesToSync.length} files...`);
+  }
+
+  // Object keys may have changed, rebuild the catalog on next request
+  await invalidatePropertyCatalog(db);
+
+  // Update sync metadata
+  const objectCount = await db.collection('objects').countDocuments();
+  const fileCount = await db.collection('fileMetadata').countDocuments();
+  const sourceObjectCount = await db
+    .collection('objects')
+    .countDocuments({ source });
+
+  await db.collection('metadata').updateOne(
+    { _id: 'sync' },
+    {
+      $set: {
+        lastSync: new Date().toISOString(),
+        fileCount,
+        objectCount,
+      },
+    },
+    { upsert: true },
+  );
+
+  // Per-source totals for the sources list
+  await db.collection('sources').updateOne(
+    { _id: source },
+    {
+      $set: {
+        lastSync: new Date().toISOString(),
+        fileCount: await db.collection('fileMetadata').countDocuments({ source }),
+        objectCount: sourceObjectCount,
+      },
+    },
+  );
+
+  // Re-check the lint rules against this source; a broken rule is reported
+  // but doesn't fail a sync whose data is already written
+  onProgress({ stage: 'rules', message: 'Checking lint rules...' });
+  let violationCount = null;
+  try {
+    ({ violationCount } = await runRules(db, { source }));
+  } catch (error) {
+    console.error('Rule check failed:', error.message);
+  }
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+  console.log(`\n✓ Sync complete in ${elapsed}s`);
+  console.log(`  Processed: ${processedCount} files, ${totalObjects} objects`);
+  console.log(`  Failed: ${failedCount} files`);
+  console.log(`  Total in DB: ${fileCount} files, ${objectCount} objects`);
+
+  const failedNote = failedCount > 0 ? `, ${failedCount} failed` : '';
+  onProgress({
+    stage: 'complete',
+    message: `✓ Sync complete in ${elapsed}s - ${processedCount} files processed${failedNote}`,
+    elapsed,
+  });
+
+  return {
+    processedCount,
+    failedCount,
+    totalObjects,
+    fileCount,
+    objectCount,
+    sourceObjectCount,
+    violationCount,
+    elapsed,
+  };
+}
+
+module.exports = {
+  SyncLockedError,
+  SyncCancelledError,
+  getActiveSyncLock,
+  markInterruptedRuns,
+  getSourceProfile,
+  syncSource,
+};
@@ -0,0 +1,101 @@
+// Free-text search over the user-visible text of preset objects, using
+// MongoDB's text index (stemming, phrases, relevance)
+
+const TEXT_INDEX_NAME = 'objects_text';
+
+// Text fields and how much a match in each counts towards relevance
+const TEXT_WEIGHTS = {
+  text: 10,
+  conrolTitle: 5,
+  title: 5,
+  label: 5,
+  placeholder: 2,
+  name: 1,
+};
+
+const TEXT_LANGUAGE = process.env.TEXT_SEARCH_LANGUAGE || 'english';
+
+// Projection/sort value for a text match's relevance
+const TEXT_SCORE = { $meta: 'textScore' };
+
+/**
+ * Create the objects text index, replacing an older one (a collection can
+ * only have one text index)
+ */
+async function ensureTextIndex(collection) {
+  let indexes = [];
+  try {
+    indexes = await collection.indexes();
+  } catch (error) {
+    // NamespaceNotFound: nothing synced yet
+    if (error.code !== 26) throw error;
+  }
+
+  const sameWeights = (weights = {}) =>
+    Object.keys(weights).length === Object.keys(TEXT_WEIGHTS).length &&
+    Object.entries(TEXT_WEIGHTS).every(([field, weight]) => weights[field] === weight);
+
+  for (const index of indexes) {
+    if (index.key._fts !== 'text') continue;
+    if (
+      index.name === TEXT_INDEX_NAME &&
+      sameWeights(index.weights) &&
+      index.default_language === TEXT_LANGUAGE
+    ) {
+      return;
+    }
+    await collection.dropIndex(index.name);
+  }
+
+  await collection.createIndex(
+    Object.fromEntries(Object.keys(TEXT_WEIGHTS).map((field) => [field, 'text'])),
+    {
+      name: TEXT_INDEX_NAME,
+      weights: TEXT_WEIGHTS,
+      default_language: TEXT_LANGUAGE,
+      // Presets may have their own `language` property, which MongoDB
+      // would otherwise take as the text language of the object
+      language_override: 'textSearchLanguage',
+    },
+  );
+}
+
+/**
+ * Rough English stem, for highlighting words the text index matched
+ * through stemming (e.g. "matches" for "match")
+ */
+function stem(word) {
+  const lower = word.toLowerCase();
+  const stemmed = lower.replace(/(?:ing|ed|es|s)$/, '');
+  return stemmed.length >= 3 ? stemmed : lower;
+}
+
+/**
+ * What a text search highlights: quoted phrases and the stems of the
+ * other words; negated words (-word, -"phrase") aren't highlighted
+ */
+function parseTextSearch(text) {
+  const phrases = [];
+  const terms = new Set();
+
+  for (const match of String(text || '').matchAll(/(-?)"([^"]*)"?|(\S+)/g)) {
+    const [, negated, phrase, word] = match;
+    if (phrase !== undefined) {
+      if (!negated && phrase.trim()) phrases.push(phrase.trim());
+    } else if (!word.startsWith('-')) {
+      // The text index splits words on punctuation too
+      for (const part of word.split(/[^\p{L}\p{N}]+/u)) {
+        if (part.length > 1) terms.add(stem(part));
+      }
+    }
+  }
+
+  return { phrases, terms: [...terms] };
+}
+
+module.exports = {
+  TEXT_WEIGHTS,
+  TEXT_SCORE,
+  ensureTextIndex,
+  parseTextSearch,
+};
@@ -1,29 +1,93 @@
 // State
-let lastResults = null;
-let lastColumns = null;
+let lastQuery = null;
+let searchSort = [];
+let resultsOffset = 0;
+let syncJobId = null;
+let propertyCatalog = [];
+// Filters are edited as rows or, in text mode, as a text query that is
+// parsed into the rows (which searches read) before use
+let filterTextMode = false;
+let parsedFilterText = '';
 
 // DOM Elements
 const statusText = document.getElementById('statusText');
 const refreshBtn = document.getElementById('refreshBtn');
+const cancelSyncBtn = document.getElementById('cancelSyncBtn');
+const sourceSelect = document.getElementById('sourceSelect');
 const searchBtn = document.getElementById('searchBtn');
 const downloadBtn = document.getElementById('downloadBtn');
+const exportFormat = document.getElementById('exportFormat');
 const filtersContainer = document.getElementById('filtersContainer');
 const addFilterBtn = document.getElementById('addFilterBtn');
+const addGroupBtn = document.getElementById('addGroupBtn');
 const clearFiltersBtn = document.getElementById('clearFiltersBtn');
+const filterModeBtn = document.getElementById('filterModeBtn');
+const filterTextPanel = document.getElementById('filterTextPanel');
+const filterTextInput = document.getElementById('filterTextInput');
+const filterTextError = document.getElementById('filterTextError');
 const columnsInput = document.getElementById('columnsInput');
+const scopeSelect = document.getElementById('scopeSelect');
+const searchModeSelect = document.getElementById('searchModeSelect');
+const textSearchInput = document.getElementById('textSearchInput');
 const commonProperties = document.getElementById('commonProperties');
+const propertiesList = document.getElementById('propertiesList');
+const columnsList = document.getElementById('columnsList');
 const tableHead = document.getElementById('tableHead');
 const tableBody = document.getElementById('tableBody');
 const resultCount = document.getElementById('resultCount');
 const previewNote = document.getElementById('previewNote');
+const pager = document.getElementById('pager');
+const prevPageBtn = document.getElementById('prevPageBtn');
+const nextPageBtn = document.getElementById('nextPageBtn');
+const pageInfo = document.getElementById('pageInfo');
+const pageSizeSelect = document.getElementById('pageSizeSelect');
 
 // Filter row counter
 let filterCounter = 0;
 
+// Operators offered in the filter builder
+const FILTER_OPERATORS = [
+  { value: 'includes', label: 'includes' },
+  { value: 'not-includes', label: 'does not contain' },
+  { value: 'exact', label: 'exact' },
+  { value: 'not-exact', label: 'not equals' },
+  { value: 'regex', label: 'matches regex' },
+  { value: 'in', label: 'in list' },
+  { value: 'lt', label: '<' },
+  { value: 'gt', label: '>' },
+  { value: 'between', label: 'between' },
+  { value: 'exists', label: 'exists' },
+  { value: 'missing', label: 'is missing' },
+  { value: 'empty', label: 'is empty string' }
+];
+
+const VALUELESS_OPERATORS = new Set(['exists', 'missing', 'empty']);
+
+const GROUP_LOGICS = [
+  { value: 'and', label: 'ALL of' },
+  { value: 'or', label: 'ANY of' },
+  { value: 'not', label: 'NONE of' }
+];
+
+/**
+ * Show/hide the value inputs that apply to the selected operator
+ */
+function updateValueInputs(row) {
+  const operator = row.querySelector('.filter-operator').value;
+  const valueInput = row.querySelector('.filter-value');
+  const value2Input = row.querySelector('.filter-value2');
+
+  valueInput.hidden = VALUELESS_OPERATORS.has(operator);
+  value2Input.hidden = operator !== 'between';
+  valueInput.placeholder = operator === 'in'
+    ? 'Comma-separated values'
+    : operator === 'between' ? 'From' : 'Value to search for';
+}
+
 /**
  * Create a filter row element
  */
-function createFilterRow() {
+function createFilterRow(filter = {}) {
   const id = ++filterCounter;
   const row = document.createElement('div');
   row.className = 'filter-row';
@@ -32,24 +96,31 @@ function createFilterRow() {
   const propertyInput = document.createElement('input');
   propertyInput.type = 'text';
   propertyInput.className = 'filter-property';
-  propertyInput.placeholder = 'Property name (e.g., src, conrolTitle)';
+  propertyInput.placeholder = 'Property name (e.g., src, shadow.color, filters[0].type)';
   propertyInput.setAttribute('list', 'propertiesList');
+  propertyInput.value = filter.property || '';
 
   const operatorSelect = document.createElement('select');
   operatorSelect.className = 'filter-operator';
-  const includesOption = document.createElement('option');
-  includesOption.value = 'includes';
-  includesOption.textContent = 'includes';
-  const exactOption = document.createElement('option');
-  exactOption.value = 'exact';
-  exactOption.textContent = 'exact';
-  operatorSelect.appendChild(includesOption);
-  operatorSelect.appendChild(exactOption);
+  for (const { value, label } of FILTER_OPERATORS) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    operatorSelect.appendChild(option);
+  }
+  operatorSelect.value = filter.operator || 'includes';
+  operatorSelect.addEventListener('change', () => updateValueInputs(row));
 
   const valueInput = document.createElement('input');
   valueInput.type = 'text';
   valueInput.className = 'filter-value';
-  valueInput.placeholder = 'Value to search for';
+  valueInput.value = filter.value ?? '';
+
+  const value2Input = document.createElement('input');
+  value2Input.type = 'text';
+  value2Input.className = 'filter-value2';
+  value2Input.placeholder = 'To';
+  value2Input.value = filter.value2 ?? '';
 
   const removeBtn = document.createElement('button');
   removeBtn.type = 'button';
@@ -61,17 +132,101 @@ function createFilterRow() {
   row.appendChild(propertyInput);
   row.appendChild(operatorSelect);
   row.appendChild(valueInput);
+  row.appendChild(value2Input);
   row.appendChild(removeBtn);
 
+  updateValueInputs(row);
+
   return row;
 }
 
+/**
+ * Create a filter group element (AND / OR / NOT over its children).
+ * The root group has no remove button and is driven by the toolbar below it.
+ */
+function createFilterGroup(logic = 'and', isRoot = false) {
+  const group = document.createElement('div');
+  group.className = isRoot ? 'filter-group filter-group-root' : 'filter-group';
+
+  const header = document.createElement('div');
+  header.className = 'filter-group-header';
+
+  const logicSelect = document.createElement('select');
+  logicSelect.className = 'filter-logic';
+  for (const { value, label } of GROUP_LOGICS) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    logicSelect.appendChild(option);
+  }
+  logicSelect.value = logic;
+
+  const logicHint = document.createElement('span');
+  logicHint.className = 'filter-logic-hint';
+  logicHint.textContent = 'the following match';
+
+  header.appendChild(logicSelect);
+  header.appendChild(logicHint);
+
+  const children = document.createElement('div');
+  children.className = 'filter-group-children';
+
+  if (!isRoot) {
+    const addRowBtn = document.createElement('button');
+    addRowBtn.type = 'button';
+    addRowBtn.className = 'btn btn-add btn-small';
+    addRowBtn.textContent = '+ Filter';
+    addRowBtn.addEventListener('click', () => children.appendChild(createFilterRow()));
+
+    const addGroupBtn = document.createElement('button');
+    addGroupBtn.type = 'button';
+    addGroupBtn.className = 'btn btn-add btn-small';
+    addGroupBtn.textContent = '+ Group';
+    addGroupBtn.addEventListener('click', () => {
+      const child = createFilterGroup('or');
+      child.querySelector('.filter-group-children').appendChild(createFilterRow());
+      children.appendChild(child);
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-remove';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove group';
+    removeBtn.addEventListener('click', () => group.remove());
+
+    header.appendChild(addRowBtn);
+    header.appendChild(addGroupBtn);
+    header.appendChild(removeBtn);
+  }
+
+  group.appendChild(header);
+  group.appendChild(children);
+
+  return group;
+}
+
+/**
+ * Children container of the root filter group
+ */
+function rootFilterChildren() {
+  return filtersContainer.querySelector('.filter-group-root > .filter-group-children');
+}
+
 /**
  * Add a new filter row
  */
 function addFilter() {
-  const row = createFilterRow();
-  filtersContainer.appendChild(row);
+  rootFilterChildren().appendChild(createFilterRow());
+}
+
+/**
+ * Add a new nested filter group with one empty row
+ */
+function addFilterGroup() {
+  const group = createFilterGroup('or');
+  group.querySelector('.filter-group-children').appendChild(createFilterRow());
+  rootFilterChildren().appendChild(group);
 }
 
 /**
@@ -79,26 +234,138 @@ function addFilter() {
  */
 function clearFilters() {
   filtersContainer.innerHTML = '';
+  filtersContainer.appendChild(createFilterGroup('and', true));
+  scopeSelect.value = 'all';
+  textSearchInput.value = '';
+  filterTextInput.value = '';
+  parsedFilterText = '';
+  filterTextError.textContent = '';
 }
 
 /**
- * Get filters from the UI
+ * Serialize a filter group element; incomplete rows and empty groups are skipped
  */
-function getFilters() {
-  const rows = filtersContainer.querySelectorAll('.filter-row');
+function serializeFilterGroup(group) {
+  const logic = group.querySelector(':scope > .filter-group-header .filter-logic').value;
+  const children = group.querySelector(':scope > .filter-group-children').children;
   const filters = [];
 
-  rows.forEach(row => {
-    const property = row.querySelector('.filter-property').value.trim();
-    const operator = row.querySelector('.filter-operator').value;
-    const value = row.querySelector('.filter-value').value.trim();
+  for (const child of children) {
+    if (child.classList.contains('filter-group')) {
+      const nested = serializeFilterGroup(child);
+      if (nested.filters.length > 0) filters.push(nested);
+      continue;
+    }
 
-    if (property && value) {
+    const property = child.querySelector('.filter-property').value.trim();
+    const operator = child.querySelector('.filter-operator').value;
+    const value = child.querySelector('.filter-value').value.trim();
+    const value2 = child.querySelector('.filter-value2').value.trim();
+
+    if (!property) continue;
+    if (VALUELESS_OPERATORS.has(operator)) {
+      filters.push({ property, operator });
+    } else if (operator === 'between') {
+      if (value && value2) filters.push({ property, operator, value, value2 });
+    } else if (value) {
       filters.push({ property, operator, value });
     }
+  }
+
+  return { logic, filters };
+}
+
+/**
+ * Get filters from the UI as a { logic, filters } tree
+ */
+function getFilters() {
+  return serializeFilterGroup(filtersContainer.querySelector('.filter-group-root'));
+}
+
+/**
+ * Parse the text query (in text mode) into the filter rows. Syntax
+ * errors are shown below the query, with the problem selected.
+ * @returns {Promise<boolean>} whether the rows are up to date
+ */
+async function syncFilterText() {
+  const text = filterTextInput.value;
+  if (!filterTextMode || text === parsedFilterText) return true;
+
+  try {
+    const res = await fetch('/api/filters/parse', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text })
+    });
+    const data = await res.json();
+
+    if (data.error) {
+      filterTextError.textContent = data.error;
+      if (data.position !== undefined) {
+        filterTextInput.focus();
+        filterTextInput.setSelectionRange(data.position, data.position + 1);
+      }
+      return false;
+    }
+
+    setFilters(data.filters);
+    parsedFilterText = text;
+    filterTextError.textContent = '';
+    return true;
+  } catch (error) {
+    console.error('Error parsing filters:', error);
+    filterTextError.textContent = `Error parsing filters: ${error.message}`;
+    return false;
+  }
+}
+
+/**
+ * Show the filter rows as a text query
+ */
+async function formatFilterText() {
+  // Until the text arrives, the rows are what counts
+  filterTextInput.value = '';
+  parsedFilterText = '';
+  filterTextError.textContent = '';
+
+  const res = await fetch('/api/filters/format', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filters: getFilters() })
   });
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
 
-  return filters;
+  filterTextInput.value = data.text;
+  parsedFilterText = data.text;
+}
+
+/**
+ * Switch between filter rows and the text query, converting one into the other
+ */
+async function toggleFilterTextMode() {
+  filterModeBtn.disabled = true;
+  try {
+    if (filterTextMode) {
+      if (!(await syncFilterText())) return;
+      filterTextMode = false;
+    } else {
+      await formatFilterText();
+      filterTextMode = true;
+    }
+
+    filtersContainer.hidden = filterTextMode;
+    addFilterBtn.hidden = filterTextMode;
+    addGroupBtn.hidden = filterTextMode;
+    filterTextPanel.hidden = !filterTextMode;
+    filterModeBtn.textContent = filterTextMode ? 'Edit as rows' : 'Edit as text';
+    if (filterTextMode) filterTextInput.focus();
+  } catch (error) {
+    console.error('Error converting filters:', error);
+    alert(`Error converting filters: ${error.message}`);
+  } finally {
+    filterModeBtn.disabled = false;
+  }
 }
 
 /**
@@ -110,6 +377,166 @@ function getColumns() {
   return value.split(',').map(s => s.trim()).filter(Boolean);
 }
 
+/**
+ * Build a filter group element from a { logic, filters } tree
+ * (a plain array is an AND group, as on the server)
+ */
+function buildFilterGroup(tree, isRoot = false) {
+  const node = Array.isArray(tree) ? { logic: 'and', filters: tree } : tree;
+  const group = createFilterGroup(node.logic || 'and', isRoot);
+  const children = group.querySelector('.filter-group-children');
+
+  for (const child of node.filters || []) {
+    const isGroup = Array.isArray(child) || Array.isArray(child.filters);
+    children.appendChild(isGroup ? buildFilterGroup(child) : createFilterRow(child));
+  }
+
+  return group;
+}
+
+/**
+ * Replace the filter builder contents with a filters tree
+ */
+function setFilters(tree) {
+  filtersContainer.innerHTML = '';
+  filtersContainer.appendChild(buildFilterGroup(tree || [], true));
+  if (rootFilterChildren().children.length === 0) addFilter();
+}
+
+/**
+ * The search as currently set up in the UI
+ */
+function getSearchState() {
+  return {
+    filters: getFilters(),
+    columns: getColumns(),
+    scope: scopeSelect.value,
+    sort: searchSort,
+    mode: searchModeSelect.value,
+    text: textSearchInput.value.trim()
+  };
+}
+
+/**
+ * Load a search (from a saved query or a link) into the UI
+ */
+function applySearchState({ filters, columns, scope, sort, mode, text }) {
+  setFilters(filters);
+  columnsInput.value = (columns || []).join(', ');
+  scopeSelect.value = scope || 'all';
+  searchModeSelect.value = mode || 'objects';
+  textSearchInput.value = text || '';
+  if (filterTextMode) {
+    formatFilterText().catch(error => console.error('Error converting filters:', error));
+  }
+  searchSort = sort || [];
+  updateColumnSuggestions();
+}
+
+/**
+ * Encode a search for the URL (base64url of its JSON)
+ */
+function encodeSearchState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a search encoded by encodeSearchState()
+ */
+function decodeSearchState(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Put the search in the address bar, so the link reproduces it
+ */
+function updateSearchUrl(state) {
+  const url = new URL(location.href);
+  url.searchParams.set('q', encodeSearchState(state));
+  history.replaceState(null, '', url);
+}
+
+/**
+ * Load and run the search from a shared link, if any
+ * @returns {boolean} whether the URL had a search
+ */
+function restoreSearchFromUrl() {
+  const encoded = new URLSearchParams(location.search).get('q');
+  if (!encoded) return false;
+
+  try {
+    applySearchState(decodeSearchState(encoded));
+    search();
+    return true;
+  } catch (error) {
+    console.error('Invalid search link:', error);
+    alert('This link contains an invalid search; starting with an empty one.');
+    return false;
+  }
+}
+
+/**
+ * Load the property catalog and populate the autocomplete lists
+ */
+async function loadProperties() {
+  try {
+    const res = await fetch('/api/properties');
+    const data = await res.json();
+
+    if (data.error) {
+      console.error('Error loading properties:', data.error);
+      return;
+    }
+
+    propertyCatalog = data.properties;
+
+    propertiesList.innerHTML = '';
+    for (const prop of propertyCatalog) {
+      const option = document.createElement('option');
+      option.value = prop.property;
+      option.label = `${prop.types.join('|')} · ${prop.presetCount.toLocaleString()} presets`;
+      propertiesList.appendChild(option);
+    }
+
+    if (propertyCatalog.length > 0) {
+      const common = [...propertyCatalog]
+        .sort((a, b) => b.presetCount - a.presetCount)
+        .slice(0, 10)
+        .map(prop => prop.property);
+      commonProperties.textContent = common.join(', ');
+    }
+
+    updateColumnSuggestions();
+  } catch (error) {
+    console.error('Error loading properties:', error);
+  }
+}
+
+/**
+ * Suggest the next column for the comma-separated columns input.
+ * Each option carries the already-typed columns as a prefix, so picking
+ * one completes only the last entry.
+ */
+function updateColumnSuggestions() {
+  const value = columnsInput.value;
+  const lastComma = value.lastIndexOf(',');
+  const prefix = lastComma === -1 ? '' : `${value.slice(0, lastComma + 1)} `;
+  const chosen = new Set(getColumns());
+
+  columnsList.innerHTML = '';
+  for (const prop of propertyCatalog) {
+    if (chosen.has(prop.property)) continue;
+    const option = document.createElement('option');
+    option.value = prefix + prop.property;
+    option.label = prop.types.join('|');
+    columnsList.appendChild(option);
+  }
+}
+
 /**
  * Load status from server
  */
@@ -126,7 +553,7 @@ async function loadStatus() {
     }
 
     if (data.objectCount === 0) {
-      statusText.textContent = 'No data in database. Click "Sync from S3" to load data.';
+      statusText.textContent = 'No data in database. Click "Sync" to load data.';
       return;
     }
 
@@ -139,6 +566,14 @@ async function loadStatus() {
       minute: '2-digit'
     });
     statusText.textContent = `${data.fileCount.toLocaleString()} files | ${data.objectCount.toLocaleString()} objects | Last sync: ${formatted}`;
+
+    if (data.failureCount > 0) {
+      statusText.textContent += ` | ⚠ ${data.failureCount.toLocaleString()} files failed to sync`;
+    }
+
+    if (data.activeSync) {
+      statusText.textContent += ` | Syncing "${data.activeSync.source}"...`;
+    }
   } catch (error) {
     console.error('Error loading status:', error);
     statusText.textContent = 'Error connecting to server';
@@ -146,62 +581,147 @@ async function loadStatus() {
 }
 
 /**
- * Sync data from S3 to MongoDB with live progress
+ * Toggle the sync controls while a sync job runs
+ */
+function setSyncRunning(running) {
+  refreshBtn.disabled = running;
+  refreshBtn.textContent = running ? '⏳ Syncing...' : '🔄 Sync';
+  cancelSyncBtn.hidden = !running;
+  cancelSyncBtn.disabled = false;
+}
+
+/**
+ * Start a background sync job for the selected source and follow it
+ * @param {object} options - e.g. { retryFailed: true }
  */
-async function syncData() {
-  refreshBtn.disabled = true;
-  refreshBtn.textContent = '⏳ Syncing...';
+async function syncData(options = {}) {
+  setSyncRunning(true);
   statusText.textContent = 'Starting sync...';
-  
+
   try {
-    const eventSource = new EventSource('/api/sync');
-    
-    eventSource.onmessage = (event) => {
-      const data = JSON.parse(event.data);
-      
-      if (data.stage === 'done') {
-        eventSource.close();
-        
-        const date = new Date(data.lastSync);
-        const formatted = date.toLocaleDateString('en-US', {
-          month: 'long',
-          day: 'numeric',
-          year: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit'
-        });
-        statusText.textContent = `${data.fileCount.toLocaleString()} files | ${data.objectCount.toLocaleString()} objects | Last sync: ${formatted}`;
-        
-        refreshBtn.disabled = false;
-        refreshBtn.textContent = '🔄 Sync from S3';
-        
-        if (data.processedCount > 0) {
-          alert(`Sync complete!\n\nProcessed: ${data.processedCount} files\nNew objects: ${data.totalObjects}\nTotal in DB: ${data.objectCount}`);
-        } else {
-          alert('Sync complete! No changes detected.');
-        }
-      } else if (data.stage === 'error') {
-        eventSource.close();
-        statusText.textContent = `Error: ${data.error}`;
-        refreshBtn.disabled = false;
-        refreshBtn.textContent = '🔄 Sync from S3';
+    const res = await fetch('/api/sync/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ source: sourceSelect.value, ...options })
+    });
+    const job = await res.json();
+    if (job.error) throw new Error(job.error);
+
+    watchSyncJob(job.id);
+  } catch (error) {
+    console.error('Error syncing:', error);
+    statusText.textContent = `Error: ${error.message}`;
+    setSyncRunning(false);
+  }
+}
+
+/**
+ * Follow a sync job's progress. The job runs on the server regardless,
+ * so a dropped connection just reattaches.
+ */
+function watchSyncJob(id) {
+  syncJobId = id;
+  setSyncRunning(true);
+
+  const eventSource = new EventSource(`/api/sync/jobs/${id}/events`);
+
+  eventSource.onmessage = (event) => {
+    const data = JSON.parse(event.data);
+
+    if (data.stage === 'done') {
+      eventSource.close();
+      syncJobId = null;
+
+      const date = new Date(data.lastSync);
+      const formatted = date.toLocaleDateString('en-US', {
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+      statusText.textContent = `${data.fileCount.toLocaleString()} files | ${data.objectCount.toLocaleString()} objects | Last sync: ${formatted}`;
+
+      setSyncRunning(false);
+
+      if (!historyCard.hidden) loadSyncHistory();
+      if (!healthCard.hidden) loadHealth();
+      if (!assetsCard.hidden) loadAssets();
+
+      const failed = data.failedCount > 0
+        ? `\n\n⚠ ${data.failedCount} files failed to sync - see Sync history > Failed files`
+        : '';
+
+      if (data.processedCount > 0) {
+        loadProperties();
+        const violations = data.violationCount != null
+          ? `\nRule violations: ${data.violationCount} - see Health`
+          : '';
+        alert(`Sync complete!\n\nProcessed: ${data.processedCount} files\nNew objects: ${data.totalObjects}\nTotal in DB: ${data.objectCount}${violations}${failed}`);
+      } else if (data.failedCount > 0) {
+        alert(`Sync finished with errors.${failed}`);
       } else {
-        // Progress update
-        statusText.textContent = data.message;
+        alert('Sync complete! No changes detected.');
       }
-    };
-    
-    eventSource.onerror = () => {
+    } else if (data.stage === 'error' || data.stage === 'cancelled') {
       eventSource.close();
-      statusText.textContent = 'Sync connection lost. Refresh to check status.';
-      refreshBtn.disabled = false;
-      refreshBtn.textContent = '🔄 Sync from S3';
-    };
+      syncJobId = null;
+      statusText.textContent = data.stage === 'error' ? `Error: ${data.error}` : 'Sync cancelled';
+      setSyncRunning(false);
+      if (!historyCard.hidden) loadSyncHistory();
+    } else {
+      // Progress update
+      statusText.textContent = data.message;
+    }
+  };
+
+  eventSource.onerror = () => {
+    eventSource.close();
+    statusText.textContent = 'Sync connection lost, reconnecting...';
+    setTimeout(() => reattachSyncJob(id), 3000);
+  };
+}
+
+/**
+ * Reattach to a sync job (by default the running one, e.g. on page load)
+ */
+async function reattachSyncJob(id = 'current') {
+  try {
+    const res = await fetch(`/api/sync/jobs/${id}`);
+    const data = await res.json();
+
+    if (data.job && (id !== 'current' || data.job.status === 'running')) {
+      watchSyncJob(data.job.id);
+      return;
+    }
+
+    // The job is gone (e.g. the server restarted)
+    if (id !== 'current') {
+      syncJobId = null;
+      setSyncRunning(false);
+      loadStatus();
+    }
   } catch (error) {
-    console.error('Error syncing:', error);
-    statusText.textContent = 'Error syncing data';
-    refreshBtn.disabled = false;
-    refreshBtn.textContent = '🔄 Sync from S3';
+    console.error('Error checking sync job:', error);
+    setTimeout(() => reattachSyncJob(id), 3000);
+  }
+}
+
+/**
+ * Cancel the sync job being followed
+ */
+async function cancelSync() {
+  if (!syncJobId) return;
+  cancelSyncBtn.disabled = true;
+
+  try {
+    const res = await fetch(`/api/sync/jobs/${syncJobId}/cancel`, { method: 'POST' });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+  } catch (error) {
+    console.error('Error cancelling sync:', error);
+    alert(`Error cancelling sync: ${error.message}`);
+    cancelSyncBtn.disabled = false;
   }
 }
 
@@ -209,14 +729,26 @@ async function syncData() {
  * Perform search
  */
 async function search() {
+  if (!(await syncFilterText())) return;
+
   const filters = getFilters();
   const columns = getColumns();
+  const scope = scopeSelect.value;
+  const mode = searchModeSelect.value;
+  const text = textSearchInput.value.trim();
 
   if (columns.length === 0) {
     alert('Please enter at least one output column');
     return;
   }
 
+  await loadResultsPage({ filters, columns, scope, sort: searchSort, mode, text }, 0);
+}
+
+/**
+ * Fetch and show one page of a search's results
+ */
+async function loadResultsPage(query, offset) {
   searchBtn.disabled = true;
   searchBtn.textContent = 'Searching...';
   downloadBtn.disabled = true;
@@ -225,7 +757,7 @@ async function search() {
     const res = await fetch('/api/search', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ filters, columns })
+      body: JSON.stringify({ ...query, offset, limit: Number(pageSizeSelect.value) })
     });
 
     const data = await res.json();
@@ -235,11 +767,12 @@ async function search() {
       return;
     }
 
-    lastResults = data.results;
-    lastColumns = data.columns;
+    lastQuery = query;
+    updateSearchUrl(lastQuery);
 
     displayResults(data);
-    downloadBtn.disabled = data.count === 0;
+    // Exports are one row per object
+    downloadBtn.disabled = data.totalCount === 0 || data.mode === 'presets';
   } catch (error) {
     console.error(error);
     alert('Error performing search');
@@ -250,96 +783,280 @@ async function search() {
 }
 
 /**
- * Display results in table
+ * Sort the results by a column: a click sorts by it alone (toggling
+ * the direction), shift+click adds it as a further sort key
+ */
+function sortResultsBy(column, addToSort) {
+  const existing = searchSort.find(entry => entry.column === column);
+  const direction = existing && existing.direction === 'asc' ? 'desc' : 'asc';
+
+  if (addToSort) {
+    searchSort = existing
+      ? searchSort.map(entry => entry.column === column ? { column, direction } : entry)
+      : [...searchSort, { column, direction }];
+  } else {
+    searchSort = [{ column, direction: existing && searchSort.length === 1 ? direction : 'asc' }];
+  }
+
+  loadResultsPage({ ...lastQuery, sort: searchSort }, 0);
+}
+
+/**
+ * Regex matching what a text search found ({ phrases, terms } from the
+ * server): phrases as typed, terms as word starts so that stemmed matches
+ * ("buttons" for "button") are marked too
+ */
+function highlightPattern(highlight) {
+  if (!highlight) return null;
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const parts = [
+    ...highlight.phrases.map(phrase => escape(phrase).replace(/\s+/g, '\\s+')),
+    ...highlight.terms.map(term => `\\b${escape(term)}\\w*`)
+  ];
+  return parts.length > 0 ? new RegExp(parts.join('|'), 'gi') : null;
+}
+
+/**
+ * Append text to a cell with the matches of `pattern` in <mark>
+ */
+function appendHighlighted(cell, value, pattern) {
+  const text = String(value);
+  if (!pattern) {
+    cell.textContent = text;
+    return;
+  }
+
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match[0] === '') continue;
+    cell.append(text.slice(last, match.index));
+    const mark = document.createElement('mark');
+    mark.textContent = match[0];
+    cell.append(mark);
+    last = match.index + match[0].length;
+  }
+  cell.append(text.slice(last));
+}
+
+/**
+ * Display a page of results in the table
  */
 function displayResults(data) {
-  const { results, columns, count } = data;
+  const { results, columns, totalCount, offset, limit } = data;
 
-  resultCount.textContent = `(${count.toLocaleString()} found)`;
+  resultCount.textContent = `(${totalCount.toLocaleString()} found)`;
 
   tableHead.innerHTML = '';
   tableBody.innerHTML = '';
+  resultsOffset = offset;
+  pager.hidden = totalCount <= limit;
 
-  if (count === 0) {
+  if (totalCount === 0) {
     tableBody.innerHTML = '<tr><td colspan="100" class="empty-state">No results found</td></tr>';
     previewNote.textContent = '';
     return;
   }
 
-  // Build header
+  // Build header; click to sort on the server
   const headerRow = document.createElement('tr');
   for (const col of columns) {
     const th = document.createElement('th');
     th.textContent = col;
+    th.className = 'sortable';
+    th.title = 'Click to sort, shift+click to add to the sort';
+
+    const sortIndex = searchSort.findIndex(entry => entry.column === col);
+    if (sortIndex !== -1) {
+      th.classList.add(searchSort[sortIndex].direction === 'asc' ? 'sort-asc' : 'sort-desc');
+      if (searchSort.length > 1) th.dataset.sortOrder = sortIndex + 1;
+    }
+
+    th.addEventListener('click', (event) => sortResultsBy(col, event.shiftKey));
     headerRow.appendChild(th);
   }
   tableHead.appendChild(headerRow);
 
-  // Build rows (limit preview to 100)
-  const previewLimit = 100;
-  const displayResults = results.slice(0, previewLimit);
+  const highlight = highlightPattern(data.highlight);
 
-  for (const row of displayResults) {
+  results.forEach((row, index) => {
     const tr = document.createElement('tr');
+    const location = data.locations && data.locations[index];
+    if (location) {
+      tr.className = 'clickable';
+      tr.title = 'Click to preview the preset';
+      tr.addEventListener('click', () => showPresetPreview(location, tr));
+    }
     for (const col of columns) {
       const td = document.createElement('td');
       const value = row[col];
-      td.textContent = value ?? '';
+      appendHighlighted(td, value ?? '', highlight);
       td.title = value ?? '';
       tr.appendChild(td);
     }
     tableBody.appendChild(tr);
-  }
+  });
 
-  if (count > previewLimit) {
-    previewNote.textContent = `Showing first ${previewLimit} of ${count.toLocaleString()} results. Download CSV for full data.`;
-  } else {
-    previewNote.textContent = '';
-  }
+  const page = Math.floor(offset / limit) + 1;
+  const pageCount = Math.ceil(totalCount / limit);
+  previewNote.textContent = `Rows ${(offset + 1).toLocaleString()}–${(offset + results.length).toLocaleString()} of ${totalCount.toLocaleString()}`;
+  pageInfo.textContent = `Page ${page.toLocaleString()} of ${pageCount.toLocaleString()}`;
+  prevPageBtn.disabled = offset === 0;
+  nextPageBtn.disabled = !data.hasMore;
 }
 
 /**
- * Download CSV
+ * Download the full result of the last search. The server streams the
+ * export, so it is submitted as a regular form and the browser saves the
+ * response directly instead of buffering it here.
  */
-function downloadCSV() {
-  if (!lastResults || !lastColumns) return;
+function downloadExport() {
+  if (!lastQuery) return;
+
+  const form = document.createElement('form');
+  form.method = 'POST';
+  form.action = '/api/export';
+  form.hidden = true;
 
-  const escapeCSV = (value) => {
-    if (value === null || value === undefined) return '';
-    const str = String(value);
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-      return `"${str.replace(/"/g, '""')}"`;
+  const payload = document.createElement('input');
+  payload.type = 'hidden';
+  payload.name = 'payload';
+  payload.value = JSON.stringify({ ...lastQuery, format: exportFormat.value });
+  form.appendChild(payload);
+
+  document.body.appendChild(form);
+  form.submit();
+  form.remove();
+}
+
+/**
+ * Render rows into a table whose headers sort on click.
+ * `columns` are { key, label, numeric, swatch } (swatch: the value is a CSS
+ * color to show) and rows hold raw values keyed by column key; `format` turns a raw value into display text and
+ * `onRowClick`, when given, is called with the clicked row.
+ */
+function renderSortableTable(table, columns, rows, format = (value) => value ?? '', onRowClick = null) {
+  const thead = table.querySelector('thead');
+  const tbody = table.querySelector('tbody');
+  let sortKey = null;
+  let sortDir = 1;
+
+  const renderBody = () => {
+    const sorted = sortKey === null ? rows : [...rows].sort((a, b) => {
+      const x = a[sortKey];
+      const y = b[sortKey];
+      if (x === y) return 0;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      if (typeof x === 'number' && typeof y === 'number') return (x - y) * sortDir;
+      return String(x).localeCompare(String(y)) * sortDir;
+    });
+
+    tbody.innerHTML = '';
+    for (const row of sorted) {
+      const tr = document.createElement('tr');
+      if (onRowClick) {
+        tr.className = 'clickable';
+        tr.addEventListener('click', () => onRowClick(row));
+      }
+      for (const col of columns) {
+        const td = document.createElement('td');
+        const text = format(row[col.key], col);
+        td.textContent = text;
+        td.title = text;
+        if (col.numeric) td.className = 'numeric';
+        if (col.swatch && row[col.key]) {
+          const swatch = document.createElement('span');
+          swatch.className = 'swatch';
+          // Over the checkerboard, so translucent colors show as such
+          swatch.style.boxShadow = `inset 0 0 0 20px ${row[col.key]}`;
+          td.prepend(swatch);
+        }
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
     }
-    return str;
   };
 
-  let csv = lastColumns.join(',') + '\n';
-  
-  for (const row of lastResults) {
-    const values = lastColumns.map(col => escapeCSV(row[col]));
-    csv += values.join(',') + '\n';
+  thead.innerHTML = '';
+  const headerRow = document.createElement('tr');
+  for (const col of columns) {
+    const th = document.createElement('th');
+    th.textContent = col.label;
+    th.className = 'sortable';
+    th.addEventListener('click', () => {
+      sortDir = sortKey === col.key ? -sortDir : (col.numeric ? -1 : 1);
+      sortKey = col.key;
+      for (const other of headerRow.children) other.classList.remove('sort-asc', 'sort-desc');
+      th.classList.add(sortDir === 1 ? 'sort-asc' : 'sort-desc');
+      renderBody();
+    });
+    headerRow.appendChild(th);
   }
+  thead.appendChild(headerRow);
 
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `preset-analysis-${Date.now()}.csv`;
-  link.click();
-  URL.revokeObjectURL(url);
+  if (rows.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="${columns.length}" class="empty-state">No results found</td></tr>`;
+    return;
+  }
+
+  renderBody();
+}
+
+/**
+ * Switch the visible tab panel inside a card
+ */
+function selectTab(tab) {
+  const card = tab.closest('.card');
+  for (const other of card.querySelectorAll('.tab')) {
+    other.classList.toggle('active', other === tab);
+  }
+  for (const panel of card.querySelectorAll('.tab-panel')) {
+    panel.hidden = panel.dataset.panel !== tab.dataset.tab;
+  }
 }
 
 // Event listeners
-refreshBtn.addEventListener('click', syncData);
+document.querySelectorAll('.tab').forEach(tab => {
+  tab.addEventListener('click', () => selectTab(tab));
+});
+refreshBtn.addEventListener('click', () => syncData());
+cancelSyncBtn.addEventListener('click', cancelSync);
 addFilterBtn.addEventListener('click', addFilter);
+addGroupBtn.addEventListener('click', addFilterGroup);
 clearFiltersBtn.addEventListener('click', clearFilters);
+filterModeBtn.addEventListener('click', toggleFilterTextMode);
+filterTextInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && !e.shiftKey) {
+    e.preventDefault();
+    search();
+  }
+});
+filterTextInput.addEventListener('input', () => {
+  filterTextError.textContent = '';
+});
 searchBtn.addEventListener('click', search);
-downloadBtn.addEventListener('click', downloadCSV);
+downloadBtn.addEventListener('click', downloadExport);
+prevPageBtn.addEventListener('click', () => {
+  loadResultsPage(lastQuery, Math.max(resultsOffset - Number(pageSizeSelect.value), 0));
+});
+nextPageBtn.addEventListener('click', () => {
+  loadResultsPage(lastQuery, resultsOffset + Number(pageSizeSelect.value));
+});
+pageSizeSelect.addEventListener('change', () => {
+  if (lastQuery) loadResultsPage(lastQuery, 0);
+});
 
 columnsInput.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') search();
 });
+textSearchInput.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') search();
+});
+columnsInput.addEventListener('input', updateColumnSuggestions);
 
 // Initialize
-addFilter();
+clearFilters();
+if (!restoreSearchFromUrl()) addFilter();
 loadStatus();
+loadProperties();
+reattachSyncJob();
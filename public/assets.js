@@ -0,0 +1,146 @@
+// Assets panel: every image/font/media reference found in presets, whether
+// it still exists, and library assets nothing uses (see /api/assets)
+
+const assetsBtn = document.getElementById('assetsBtn');
+const assetsCard = document.getElementById('assetsCard');
+const assetsStatus = document.getElementById('assetsStatus');
+const assetsSearch = document.getElementById('assetsSearch');
+const checkNewAssetsBtn = document.getElementById('checkNewAssetsBtn');
+const checkAllAssetsBtn = document.getElementById('checkAllAssetsBtn');
+const assetsSummary = document.getElementById('assetsSummary');
+const assetsTable = document.getElementById('assetsTable');
+const assetsDetail = document.getElementById('assetsDetail');
+const assetsDetailTitle = document.getElementById('assetsDetailTitle');
+const assetsDetailTable = document.getElementById('assetsDetailTable');
+
+const ASSET_COLUMNS = [
+  { key: 'status', label: 'status' },
+  { key: 'asset', label: 'asset' },
+  { key: 'kind', label: 'kind' },
+  { key: 'presetCount', label: 'presets', numeric: true },
+  { key: 'refCount', label: 'references', numeric: true },
+  { key: 'problem', label: 'detail' },
+  { key: 'checkedAt', label: 'checked' }
+];
+
+const ASSET_REF_COLUMNS = [
+  { key: 'fileName', label: 'preset' },
+  { key: 'source', label: 'source' },
+  { key: 'type', label: 'type' },
+  { key: 'object', label: 'object' },
+  { key: 'path', label: 'tree path' },
+  { key: 'property', label: 'property' }
+];
+
+/**
+ * Format an assets table cell
+ */
+function formatAssetValue(value, col) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return value.toLocaleString();
+  if (col.key === 'checkedAt') return new Date(value).toLocaleString();
+  return String(value);
+}
+
+/**
+ * Load the asset report
+ */
+async function loadAssets() {
+  const params = new URLSearchParams();
+  if (assetsStatus.value) params.set('status', assetsStatus.value);
+  if (assetsSearch.value.trim()) params.set('q', assetsSearch.value.trim());
+
+  try {
+    const res = await fetch(`/api/assets?${params}`);
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    const { counts } = data;
+    assetsSummary.textContent = `${counts.missing} missing, ${counts.error} failed to check, ${counts.unused} unused, ${counts.unchecked} unchecked, ${counts.ok} ok. Click an asset to see where it is used.`;
+
+    const rows = data.assets.map(asset => ({
+      ...asset,
+      asset: asset._id,
+      kind: asset.bucket ? `s3 (${asset.bucket})` : asset.kind,
+      problem: asset.error || (asset.httpStatus ? `HTTP ${asset.httpStatus}` : '')
+    }));
+    renderSortableTable(assetsTable, ASSET_COLUMNS, rows, formatAssetValue, showAssetRefs);
+  } catch (error) {
+    console.error('Error loading assets:', error);
+    assetsSummary.textContent = `Error loading assets: ${error.message}`;
+  }
+}
+
+/**
+ * Show the presets and objects referencing an asset
+ */
+async function showAssetRefs(asset) {
+  if (asset.status === 'unused') {
+    assetsDetailTitle.textContent = `${asset.key} is not used by any preset`;
+    renderSortableTable(assetsDetailTable, ASSET_REF_COLUMNS, []);
+    assetsDetail.hidden = false;
+    return;
+  }
+
+  try {
+    const params = new URLSearchParams({ url: asset._id });
+    const res = await fetch(`/api/assets/refs?${params}`);
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    assetsDetailTitle.textContent = `${asset._id}: ${data.count} reference(s)`;
+    const rows = data.refs.map(ref => ({ ...ref, object: describeObject(ref) }));
+    renderSortableTable(assetsDetailTable, ASSET_REF_COLUMNS, rows);
+    assetsDetail.hidden = false;
+  } catch (error) {
+    console.error('Error loading asset references:', error);
+    alert(`Error loading asset references: ${error.message}`);
+  }
+}
+
+/**
+ * Verify asset references: new ones only, or all of them (which also
+ * lists the asset library for unused assets)
+ */
+async function checkAssetRefs(all) {
+  checkNewAssetsBtn.disabled = true;
+  checkAllAssetsBtn.disabled = true;
+  assetsSummary.textContent = all ? 'Checking every asset reference...' : 'Checking new asset references...';
+
+  try {
+    const res = await fetch('/api/assets/check', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ all })
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    assetsDetail.hidden = true;
+    await loadAssets();
+  } catch (error) {
+    alert(`Error checking assets: ${error.message}`);
+  } finally {
+    checkNewAssetsBtn.disabled = false;
+    checkAllAssetsBtn.disabled = false;
+  }
+}
+
+/**
+ * Toggle the assets panel
+ */
+function toggleAssets() {
+  assetsCard.hidden = !assetsCard.hidden;
+  if (!assetsCard.hidden) loadAssets();
+}
+
+let assetsSearchTimer = null;
+
+assetsBtn.addEventListener('click', toggleAssets);
+assetsStatus.addEventListener('change', loadAssets);
+assetsSearch.addEventListener('input', () => {
+  clearTimeout(assetsSearchTimer);
+  assetsSearchTimer = setTimeout(loadAssets, 300);
+});
+checkNewAssetsBtn.addEventListener('click', () => checkAssetRefs(false));
+checkAllAssetsBtn.addEventListener('click', () => checkAssetRefs(true));
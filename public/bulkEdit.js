@@ -0,0 +1,189 @@
+// Bulk edit tab: change every object matching the current filters, as a
+// reviewed dry run first, then written back to the sources (see /api/bulk-edits)
+
+const bulkEditOperation = document.getElementById('bulkEditOperation');
+const bulkEditProperty = document.getElementById('bulkEditProperty');
+const bulkEditValue = document.getElementById('bulkEditValue');
+const bulkEditPattern = document.getElementById('bulkEditPattern');
+const bulkEditReplacement = document.getElementById('bulkEditReplacement');
+const bulkEditIgnoreCase = document.getElementById('bulkEditIgnoreCase');
+const bulkEditPreviewBtn = document.getElementById('bulkEditPreviewBtn');
+const bulkEditApplyBtn = document.getElementById('bulkEditApplyBtn');
+const bulkEditNote = document.getElementById('bulkEditNote');
+const bulkEditTable = document.getElementById('bulkEditTable');
+
+const BULK_EDIT_DIFF_COLUMNS = [
+  { key: 'fileName', label: 'preset' },
+  { key: 'source', label: 'source' },
+  ...DIFF_COLUMNS.filter(col => col.key !== 'change')
+];
+
+const BULK_EDIT_RESULT_COLUMNS = [
+  { key: 'fileName', label: 'preset' },
+  { key: 'source', label: 'source' },
+  { key: 'status', label: 'status' },
+  { key: 'changedObjectCount', label: 'objects', numeric: true },
+  { key: 'detail', label: 'backup / error' }
+];
+
+// The planned edit the Apply button writes
+let bulkEditPlan = null;
+
+/**
+ * Show the inputs the selected operation uses
+ */
+function updateBulkEditFields() {
+  for (const field of document.querySelectorAll('[data-bulk-edit]')) {
+    field.hidden = field.dataset.bulkEdit !== bulkEditOperation.value;
+  }
+}
+
+/**
+ * The transformation described by the form. Values are JSON when they
+ * parse as JSON (numbers, booleans, quoted strings), otherwise text.
+ */
+function getBulkEditTransform() {
+  const transform = {
+    operation: bulkEditOperation.value,
+    property: bulkEditProperty.value.trim()
+  };
+
+  if (transform.operation === 'set') {
+    const text = bulkEditValue.value;
+    try {
+      transform.value = JSON.parse(text);
+    } catch (error) {
+      transform.value = text;
+    }
+  } else if (transform.operation === 'replace') {
+    transform.pattern = bulkEditPattern.value;
+    transform.replacement = bulkEditReplacement.value;
+    transform.ignoreCase = bulkEditIgnoreCase.checked;
+  }
+
+  return transform;
+}
+
+/**
+ * Forget the previewed plan, e.g. when the filters or the form change
+ */
+function resetBulkEditPlan() {
+  bulkEditPlan = null;
+  bulkEditApplyBtn.disabled = true;
+}
+
+function formatBulkEditValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return value.toLocaleString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Dry run: plan the edit and show every property it would change
+ */
+async function previewBulkEdit() {
+  resetBulkEditPlan();
+  if (!(await syncFilterText())) return;
+
+  bulkEditPreviewBtn.disabled = true;
+  bulkEditNote.textContent = 'Computing changes...';
+
+  try {
+    const res = await fetch('/api/bulk-edits', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        filters: getFilters(),
+        scope: scopeSelect.value,
+        text: textSearchInput.value.trim(),
+        transforms: [getBulkEditTransform()]
+      })
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    const planned = data.files.filter(file => file.status === 'planned');
+    const skipped = data.files.filter(file => file.status === 'skipped');
+
+    const rows = [];
+    for (const file of planned) {
+      for (const mod of file.diff.modified) {
+        for (const change of mod.changes) {
+          rows.push({
+            fileName: file.fileName,
+            source: file.source,
+            type: mod.after.type,
+            object: describeObject(mod.after),
+            path: mod.after.path,
+            property: change.property,
+            before: change.before,
+            after: change.after
+          });
+        }
+      }
+    }
+    renderSortableTable(bulkEditTable, BULK_EDIT_DIFF_COLUMNS, rows, formatBulkEditValue);
+
+    const notes = [
+      `${data.matchedObjectCount.toLocaleString()} matching objects; ${planned.length} preset(s) would change, ${data.unchangedCount} already match.`
+    ];
+    if (skipped.length > 0) {
+      notes.push(`${skipped.length} preset(s) have no stored copy and are skipped (sync them first).`);
+    }
+    bulkEditNote.textContent = notes.join(' ');
+
+    if (planned.length > 0) {
+      bulkEditPlan = data;
+      bulkEditApplyBtn.disabled = false;
+    }
+  } catch (error) {
+    console.error('Error planning bulk edit:', error);
+    bulkEditNote.textContent = `Error: ${error.message}`;
+  } finally {
+    bulkEditPreviewBtn.disabled = false;
+  }
+}
+
+/**
+ * Write the previewed plan back to the sources
+ */
+async function applyBulkEditPlan() {
+  if (!bulkEditPlan) return;
+
+  const count = bulkEditPlan.files.filter(file => file.status === 'planned').length;
+  if (!confirm(`Overwrite ${count} preset(s) at their source? The originals are backed up first.`)) return;
+
+  const planId = bulkEditPlan._id;
+  resetBulkEditPlan();
+  bulkEditPreviewBtn.disabled = true;
+  bulkEditNote.textContent = `Writing ${count} preset(s)...`;
+
+  try {
+    const res = await fetch(`/api/bulk-edits/${planId}/apply`, { method: 'POST' });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    const countBy = status => data.files.filter(file => file.status === status).length;
+    bulkEditNote.textContent = `Bulk edit ${data.status}: ${countBy('written')} written, ${countBy('conflict')} changed at the source since the preview (left alone), ${countBy('failed')} failed. Written presets are being re-synced.`;
+
+    const rows = data.files.map(file => ({ ...file, detail: file.error || file.backup }));
+    renderSortableTable(bulkEditTable, BULK_EDIT_RESULT_COLUMNS, rows, formatBulkEditValue);
+  } catch (error) {
+    console.error('Error applying bulk edit:', error);
+    bulkEditNote.textContent = `Error: ${error.message}`;
+  } finally {
+    bulkEditPreviewBtn.disabled = false;
+  }
+}
+
+bulkEditOperation.addEventListener('change', () => {
+  updateBulkEditFields();
+  resetBulkEditPlan();
+});
+for (const input of [bulkEditProperty, bulkEditValue, bulkEditPattern, bulkEditReplacement, bulkEditIgnoreCase]) {
+  input.addEventListener('input', resetBulkEditPlan);
+}
+searchBtn.addEventListener('click', resetBulkEditPlan);
+bulkEditPreviewBtn.addEventListener('click', previewBulkEdit);
+bulkEditApplyBtn.addEventListener('click', applyBulkEditPlan);
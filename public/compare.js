@@ -0,0 +1,65 @@
+// Compare panel: object-level differences between two presets of the
+// source selected in the status bar, e.g. a template and its fork
+
+const compareBtn = document.getElementById('compareBtn');
+const compareCard = document.getElementById('compareCard');
+const compareLeft = document.getElementById('compareLeft');
+const compareRight = document.getElementById('compareRight');
+const compareRunBtn = document.getElementById('compareRunBtn');
+const compareSummary = document.getElementById('compareSummary');
+const compareTable = document.getElementById('compareTable');
+
+/**
+ * Diff columns labelled with the compared presets instead of before/after
+ */
+function compareColumns(leftName, rightName) {
+  return DIFF_COLUMNS.map(col => {
+    if (col.key === 'change') return { ...col, label: 'A → B' };
+    if (col.key === 'before') return { ...col, label: `A: ${leftName}` };
+    if (col.key === 'after') return { ...col, label: `B: ${rightName}` };
+    return col;
+  });
+}
+
+/**
+ * Compare the two chosen presets
+ */
+async function comparePresets() {
+  const left = compareLeft.value.trim();
+  const right = compareRight.value.trim();
+  if (!left || !right) {
+    alert('Pick two presets to compare');
+    return;
+  }
+
+  compareRunBtn.disabled = true;
+  try {
+    const params = new URLSearchParams({ source: sourceSelect.value, left, right });
+    const res = await fetch(`/api/compare?${params}`);
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    displayObjectDiff(data, compareSummary, compareTable, compareColumns(left, right));
+    const { summary } = data;
+    compareSummary.textContent = `${summary.added} objects only in B, ${summary.removed} only in A, ${summary.modified} differ, ${summary.unchanged} identical.`;
+  } catch (error) {
+    console.error('Error comparing presets:', error);
+    alert(`Error comparing presets: ${error.message}`);
+  } finally {
+    compareRunBtn.disabled = false;
+  }
+}
+
+/**
+ * Toggle the compare panel
+ */
+function toggleCompare() {
+  compareCard.hidden = !compareCard.hidden;
+  if (!compareCard.hidden) loadFileNames();
+}
+
+compareBtn.addEventListener('click', toggleCompare);
+compareRunBtn.addEventListener('click', comparePresets);
+sourceSelect.addEventListener('change', () => {
+  if (!compareCard.hidden) loadFileNames();
+});
@@ -0,0 +1,265 @@
+// Health panel: presets ranked by lint rule violations, and the rules
+// themselves (see /api/rules and /api/health)
+
+const healthBtn = document.getElementById('healthBtn');
+const healthCard = document.getElementById('healthCard');
+const healthSummary = document.getElementById('healthSummary');
+const healthTable = document.getElementById('healthTable');
+const healthDetail = document.getElementById('healthDetail');
+const healthDetailTitle = document.getElementById('healthDetailTitle');
+const healthDetailTable = document.getElementById('healthDetailTable');
+const runRulesBtn = document.getElementById('runRulesBtn');
+const rulesTable = document.getElementById('rulesTable');
+const ruleForm = document.getElementById('ruleForm');
+const ruleWhere = document.getElementById('ruleWhere');
+const ruleMust = document.getElementById('ruleMust');
+const ruleUseSearchBtn = document.getElementById('ruleUseSearchBtn');
+const ruleNewBtn = document.getElementById('ruleNewBtn');
+const ruleDeleteBtn = document.getElementById('ruleDeleteBtn');
+
+const HEALTH_COLUMNS = [
+  { key: 'fileName', label: 'preset' },
+  { key: 'source', label: 'source' },
+  { key: 'score', label: 'score', numeric: true },
+  { key: 'errorCount', label: 'errors', numeric: true },
+  { key: 'warningCount', label: 'warnings', numeric: true },
+  { key: 'infoCount', label: 'info', numeric: true },
+  { key: 'rules', label: 'rules broken' }
+];
+
+const VIOLATION_COLUMNS = [
+  { key: 'severity', label: 'severity' },
+  { key: 'ruleName', label: 'rule' },
+  { key: 'type', label: 'type' },
+  { key: 'object', label: 'object' },
+  { key: 'path', label: 'tree path' },
+  { key: 'id', label: 'id' }
+];
+
+const RULE_COLUMNS = [
+  { key: 'name', label: 'rule' },
+  { key: 'severity', label: 'severity' },
+  { key: 'enabled', label: 'enabled' },
+  { key: 'violationCount', label: 'violations', numeric: true },
+  { key: 'presetCount', label: 'presets', numeric: true },
+  { key: 'truncated', label: 'limit reached' },
+  { key: 'description', label: 'description' }
+];
+
+let currentRuleId = null;
+
+/**
+ * A filter group for the rule form: like a nested search group, but it
+ * can't be removed
+ */
+function createRuleFilterGroup(tree) {
+  const group = buildFilterGroup(tree || { logic: 'and', filters: [] });
+  group.querySelector(':scope > .filter-group-header .btn-remove').remove();
+  return group;
+}
+
+/**
+ * Replace a rule form filter container's group
+ */
+function setRuleFilters(container, tree) {
+  container.innerHTML = '';
+  container.appendChild(createRuleFilterGroup(tree));
+}
+
+/**
+ * Load the presets with violations, worst first
+ */
+async function loadHealth() {
+  try {
+    const res = await fetch('/api/health');
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    const errorCount = data.presets.reduce((sum, preset) => sum + preset.errorCount, 0);
+    healthSummary.textContent = data.count === 0
+      ? 'No rule violations.'
+      : `${data.count} preset(s) with violations, ${errorCount} error(s) in total. Click a preset to see its violations.`;
+    if (data.truncated) {
+      healthSummary.textContent += ' Some rules reached the stored violation limit, so their counts are lower bounds (see "limit reached" below).';
+    }
+
+    const rows = data.presets.map(preset => ({ ...preset, rules: preset.rules.join(', ') }));
+    renderSortableTable(healthTable, HEALTH_COLUMNS, rows, undefined, showPresetViolations);
+  } catch (error) {
+    console.error('Error loading health:', error);
+    healthSummary.textContent = `Error loading health: ${error.message}`;
+  }
+}
+
+/**
+ * Show one preset's violations
+ */
+async function showPresetViolations(preset) {
+  try {
+    const params = new URLSearchParams({ source: preset.source });
+    const res = await fetch(`/api/health/${encodeURIComponent(preset.fileName)}?${params}`);
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    healthDetailTitle.textContent = `${preset.fileName} (${preset.source}): ${data.count} violation(s)`;
+    const rows = data.violations.map(violation => ({
+      severity: violation.severity,
+      ruleName: violation.ruleName,
+      type: violation.object.type,
+      object: describeObject(violation.object),
+      path: violation.object.path,
+      id: violation.object.id
+    }));
+    renderSortableTable(healthDetailTable, VIOLATION_COLUMNS, rows);
+    healthDetail.hidden = false;
+  } catch (error) {
+    console.error('Error loading violations:', error);
+    alert(`Error loading violations: ${error.message}`);
+  }
+}
+
+/**
+ * Load the rules list
+ */
+async function loadRules() {
+  try {
+    const res = await fetch('/api/rules');
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    renderSortableTable(rulesTable, RULE_COLUMNS, data.rules, value => {
+      if (typeof value === 'boolean') return value ? 'yes' : 'no';
+      return value ?? '';
+    }, editRule);
+  } catch (error) {
+    console.error('Error loading rules:', error);
+  }
+}
+
+/**
+ * Load a rule into the form
+ */
+function editRule(rule) {
+  currentRuleId = rule._id;
+  const fields = ruleForm.elements;
+  fields.name.value = rule.name;
+  fields.description.value = rule.description;
+  fields.severity.value = rule.severity;
+  fields.scope.value = rule.scope;
+  fields.enabled.checked = rule.enabled;
+  setRuleFilters(ruleWhere, rule.where);
+  setRuleFilters(ruleMust, rule.must);
+  ruleDeleteBtn.hidden = false;
+}
+
+/**
+ * Clear the form, so the next save adds a rule
+ */
+function startNewRule() {
+  currentRuleId = null;
+  ruleForm.reset();
+  setRuleFilters(ruleWhere);
+  setRuleFilters(ruleMust);
+  ruleDeleteBtn.hidden = true;
+}
+
+/**
+ * Save the rule in the form; the server re-checks it right away
+ */
+async function saveRule(event) {
+  event.preventDefault();
+  const fields = ruleForm.elements;
+
+  const body = {
+    name: fields.name.value.trim(),
+    description: fields.description.value.trim(),
+    severity: fields.severity.value,
+    scope: fields.scope.value,
+    enabled: fields.enabled.checked,
+    where: serializeFilterGroup(ruleWhere.querySelector('.filter-group')),
+    must: serializeFilterGroup(ruleMust.querySelector('.filter-group'))
+  };
+
+  try {
+    const res = await fetch(currentRuleId ? `/api/rules/${currentRuleId}` : '/api/rules', {
+      method: currentRuleId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    currentRuleId = data._id;
+    ruleDeleteBtn.hidden = false;
+    await Promise.all([loadRules(), loadHealth()]);
+  } catch (error) {
+    alert(`Error saving rule: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the rule in the form
+ */
+async function deleteRule() {
+  if (!currentRuleId) return;
+  if (!confirm(`Delete rule "${ruleForm.elements.name.value}" and its violations?`)) return;
+
+  try {
+    const res = await fetch(`/api/rules/${currentRuleId}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    startNewRule();
+    healthDetail.hidden = true;
+    await Promise.all([loadRules(), loadHealth()]);
+  } catch (error) {
+    alert(`Error deleting rule: ${error.message}`);
+  }
+}
+
+/**
+ * Re-check every rule against every source
+ */
+async function runAllRules() {
+  runRulesBtn.disabled = true;
+  try {
+    const res = await fetch('/api/rules/run', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    healthDetail.hidden = true;
+    await Promise.all([loadRules(), loadHealth()]);
+  } catch (error) {
+    alert(`Error running rules: ${error.message}`);
+  } finally {
+    runRulesBtn.disabled = false;
+  }
+}
+
+/**
+ * Toggle the health panel
+ */
+function toggleHealth() {
+  healthCard.hidden = !healthCard.hidden;
+  if (!healthCard.hidden) {
+    loadHealth();
+    loadRules();
+  }
+}
+
+healthBtn.addEventListener('click', toggleHealth);
+runRulesBtn.addEventListener('click', runAllRules);
+ruleForm.addEventListener('submit', saveRule);
+ruleNewBtn.addEventListener('click', startNewRule);
+ruleDeleteBtn.addEventListener('click', deleteRule);
+ruleUseSearchBtn.addEventListener('click', async () => {
+  if (!(await syncFilterText())) return;
+  setRuleFilters(ruleWhere, getFilters());
+  ruleForm.elements.scope.value = scopeSelect.value;
+});
+
+startNewRule();
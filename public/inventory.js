@@ -0,0 +1,153 @@
+// Inventory tab: fonts and colors used by the objects matching the current
+// filters, for design-system audits (see /api/inventory)
+
+const inventoryKind = document.getElementById('inventoryKind');
+const inventoryBtn = document.getElementById('inventoryBtn');
+const inventoryNote = document.getElementById('inventoryNote');
+const inventoryTable = document.getElementById('inventoryTable');
+const inventoryDetail = document.getElementById('inventoryDetail');
+const inventoryDetailTitle = document.getElementById('inventoryDetailTitle');
+const inventoryDetailTable = document.getElementById('inventoryDetailTable');
+
+const INVENTORY_COLUMNS = {
+  font: [
+    { key: 'family', label: 'font family' },
+    { key: 'weight', label: 'weight' },
+    { key: 'size', label: 'size', numeric: true },
+    { key: 'presetCount', label: 'presets', numeric: true },
+    { key: 'objectCount', label: 'objects', numeric: true },
+    { key: 'presets', label: 'used in' },
+    { key: 'properties', label: 'set in' }
+  ],
+  color: [
+    { key: 'key', label: 'color', swatch: true },
+    { key: 'forms', label: 'written as' },
+    { key: 'presetCount', label: 'presets', numeric: true },
+    { key: 'objectCount', label: 'objects', numeric: true },
+    { key: 'presets', label: 'used in' },
+    { key: 'properties', label: 'properties' }
+  ]
+};
+
+const INVENTORY_OBJECT_COLUMNS = [
+  { key: 'fileName', label: 'preset' },
+  { key: 'source', label: 'source' },
+  { key: 'type', label: 'type' },
+  { key: 'object', label: 'object' },
+  { key: 'path', label: 'tree path' },
+  { key: 'properties', label: 'properties' }
+];
+
+// The last inventory, and the filters it was built for (drill-downs use them)
+let inventory = null;
+let inventorySearch = null;
+
+/**
+ * Format an inventory cell
+ */
+function formatInventoryValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return value.toLocaleString();
+  return String(value);
+}
+
+/**
+ * Properties as listed in the tables; '' (found on the object itself
+ * rather than nested in it) is "object"
+ */
+function formatInventoryProperties(properties) {
+  return properties.map(property => property || 'object').join(', ');
+}
+
+/**
+ * Show the fonts or colors of the last inventory
+ */
+function renderInventory() {
+  if (!inventory) return;
+  const kind = inventoryKind.value;
+  const rows = (kind === 'font' ? inventory.fonts : inventory.colors).map(entry => ({
+    ...entry,
+    forms: entry.forms ? entry.forms.join(', ') : undefined,
+    presets: entry.presets.map(preset => preset.fileName).join(', '),
+    properties: formatInventoryProperties(entry.properties),
+    entry
+  }));
+
+  renderSortableTable(inventoryTable, INVENTORY_COLUMNS[kind], rows, formatInventoryValue, row => showInventoryObjects(row.entry));
+  inventoryDetail.hidden = true;
+
+  const usage = kind === 'font'
+    ? `${inventory.fonts.length.toLocaleString()} font combinations in ${inventory.familyCount.toLocaleString()} families`
+    : `${inventory.colors.length.toLocaleString()} colors`;
+  inventoryNote.textContent = `${usage} across ${inventory.objectCount.toLocaleString()} objects. "Used in" lists up to 50 presets; click an entry for every object using it.`;
+}
+
+/**
+ * Build the inventory for the current filters
+ */
+async function runInventory() {
+  if (!(await syncFilterText())) return;
+
+  inventoryBtn.disabled = true;
+  inventoryNote.textContent = 'Building inventory...';
+
+  try {
+    const search = {
+      filters: getFilters(),
+      scope: scopeSelect.value,
+      text: textSearchInput.value.trim()
+    };
+    const res = await fetch('/api/inventory', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(search)
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    inventory = data;
+    inventorySearch = search;
+    renderInventory();
+  } catch (error) {
+    console.error('Error building inventory:', error);
+    inventoryNote.textContent = `Error building inventory: ${error.message}`;
+  } finally {
+    inventoryBtn.disabled = false;
+  }
+}
+
+/**
+ * Show the objects using an inventory entry
+ */
+async function showInventoryObjects(entry) {
+  const kind = inventoryKind.value;
+  const label = kind === 'font'
+    ? `${entry.family} ${entry.weight}${entry.size !== null ? ` ${entry.size}` : ''}`
+    : entry.key;
+
+  try {
+    const res = await fetch('/api/inventory/objects', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...inventorySearch, kind, key: entry.key })
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    const shown = data.objects.length < data.count ? ` (first ${data.objects.length.toLocaleString()})` : '';
+    inventoryDetailTitle.textContent = `${label}: ${data.count.toLocaleString()} object(s)${shown}`;
+    const rows = data.objects.map(obj => ({
+      ...obj,
+      object: describeObject(obj),
+      properties: formatInventoryProperties(obj.properties)
+    }));
+    renderSortableTable(inventoryDetailTable, INVENTORY_OBJECT_COLUMNS, rows, formatInventoryValue);
+    inventoryDetail.hidden = false;
+  } catch (error) {
+    console.error('Error loading inventory objects:', error);
+    alert(`Error loading objects: ${error.message}`);
+  }
+}
+
+inventoryBtn.addEventListener('click', runInventory);
+inventoryKind.addEventListener('change', renderInventory);
@@ -0,0 +1,68 @@
+// Preset preview under the results: the clicked row's preset, rendered on
+// the server, with the clicked object (and optionally every match) outlined
+
+const presetPreview = document.getElementById('presetPreview');
+const presetPreviewTitle = document.getElementById('presetPreviewTitle');
+const presetPreviewMatches = document.getElementById('presetPreviewMatches');
+const presetPreviewSvg = document.getElementById('presetPreviewSvg');
+const presetPreviewPng = document.getElementById('presetPreviewPng');
+const presetPreviewClose = document.getElementById('presetPreviewClose');
+const presetPreviewImage = document.getElementById('presetPreviewImage');
+
+let previewLocation = null;
+
+/**
+ * Preview URL for the current location in the given format
+ */
+function presetPreviewUrl(format) {
+  const params = new URLSearchParams({
+    source: previewLocation.source,
+    format,
+    width: Math.min(Math.round(presetPreview.parentElement.clientWidth) || 600, 1200)
+  });
+  if (previewLocation.path) params.set('highlight', previewLocation.path);
+  if (presetPreviewMatches.checked && lastQuery) {
+    params.set('search', JSON.stringify({ filters: lastQuery.filters, scope: lastQuery.scope, text: lastQuery.text }));
+  }
+  return `/api/presets/${encodeURIComponent(previewLocation.fileName)}/preview?${params}`;
+}
+
+function renderPresetPreview() {
+  presetPreviewImage.src = presetPreviewUrl('svg');
+  presetPreviewSvg.href = presetPreviewUrl('svg');
+  presetPreviewPng.href = presetPreviewUrl('png');
+}
+
+/**
+ * Show the preset of a result row ({ source, fileName, path })
+ */
+function showPresetPreview(location, rowEl) {
+  previewLocation = location;
+
+  for (const selected of tableBody.querySelectorAll('tr.selected')) {
+    selected.classList.remove('selected');
+  }
+  if (rowEl) rowEl.classList.add('selected');
+
+  presetPreviewTitle.textContent = location.path
+    ? `${location.fileName} (${location.source}) - object ${location.path}`
+    : `${location.fileName} (${location.source})`;
+  presetPreview.hidden = false;
+  renderPresetPreview();
+}
+
+function closePresetPreview() {
+  presetPreview.hidden = true;
+  presetPreviewImage.removeAttribute('src');
+  for (const selected of tableBody.querySelectorAll('tr.selected')) {
+    selected.classList.remove('selected');
+  }
+}
+
+presetPreviewImage.addEventListener('error', () => {
+  presetPreviewTitle.textContent = `${previewLocation.fileName}: no stored version to preview (sync it first)`;
+});
+presetPreviewMatches.addEventListener('change', () => {
+  if (previewLocation) renderPresetPreview();
+});
+presetPreviewClose.addEventListener('click', closePresetPreview);
@@ -0,0 +1,169 @@
+// Saved queries sidebar: named, shareable searches (see /api/queries)
+
+const savedQueriesFilter = document.getElementById('savedQueriesFilter');
+const savedQueriesList = document.getElementById('savedQueriesList');
+const savedQueryForm = document.getElementById('savedQueryForm');
+const savedQueryNewBtn = document.getElementById('savedQueryNewBtn');
+
+const OWNER_STORAGE_KEY = 'presetAnalyzer.owner';
+
+let savedQueries = [];
+let currentSavedQueryId = null;
+
+/**
+ * Render the saved queries matching the sidebar filter
+ */
+function renderSavedQueries() {
+  const term = savedQueriesFilter.value.trim().toLowerCase();
+  savedQueriesList.innerHTML = '';
+
+  const visible = savedQueries.filter(saved =>
+    !term ||
+    saved.name.toLowerCase().includes(term) ||
+    saved.owner.toLowerCase().includes(term) ||
+    saved.description.toLowerCase().includes(term)
+  );
+
+  if (visible.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty-state';
+    empty.textContent = savedQueries.length === 0 ? 'No saved queries yet' : 'No matches';
+    savedQueriesList.appendChild(empty);
+    return;
+  }
+
+  for (const saved of visible) {
+    const item = document.createElement('li');
+    item.className = saved._id === currentSavedQueryId ? 'saved-query active' : 'saved-query';
+    item.title = saved.description || saved.name;
+
+    const name = document.createElement('strong');
+    name.textContent = saved.name;
+
+    const meta = document.createElement('small');
+    meta.textContent = [saved.owner, new Date(saved.updatedAt).toLocaleDateString()]
+      .filter(Boolean)
+      .join(' · ');
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-remove';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Delete saved query';
+    removeBtn.addEventListener('click', event => {
+      event.stopPropagation();
+      deleteSavedQuery(saved);
+    });
+
+    item.appendChild(name);
+    item.appendChild(removeBtn);
+    item.appendChild(meta);
+    if (saved.description) {
+      const description = document.createElement('p');
+      description.textContent = saved.description;
+      item.appendChild(description);
+    }
+
+    item.addEventListener('click', () => openSavedQuery(saved));
+    savedQueriesList.appendChild(item);
+  }
+}
+
+/**
+ * Load the saved queries list
+ */
+async function loadSavedQueries() {
+  try {
+    const res = await fetch('/api/queries');
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    savedQueries = data.queries;
+    renderSavedQueries();
+  } catch (error) {
+    console.error('Error loading saved queries:', error);
+  }
+}
+
+/**
+ * Load a saved query into the filters and columns and run it
+ */
+function openSavedQuery(saved) {
+  currentSavedQueryId = saved._id;
+
+  const fields = savedQueryForm.elements;
+  fields.name.value = saved.name;
+  fields.description.value = saved.description;
+  fields.owner.value = saved.owner;
+
+  applySearchState(saved);
+  renderSavedQueries();
+  search();
+}
+
+/**
+ * Save the current search: updates the open saved query, or creates one
+ */
+async function saveCurrentQuery(event) {
+  event.preventDefault();
+  if (!(await syncFilterText())) return;
+  const fields = savedQueryForm.elements;
+
+  const body = {
+    name: fields.name.value.trim(),
+    description: fields.description.value.trim(),
+    owner: fields.owner.value.trim(),
+    ...getSearchState()
+  };
+  localStorage.setItem(OWNER_STORAGE_KEY, body.owner);
+
+  try {
+    const res = await fetch(currentSavedQueryId ? `/api/queries/${currentSavedQueryId}` : '/api/queries', {
+      method: currentSavedQueryId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    currentSavedQueryId = data._id;
+    await loadSavedQueries();
+  } catch (error) {
+    alert(`Error saving query: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a saved query
+ */
+async function deleteSavedQuery(saved) {
+  if (!confirm(`Delete saved query "${saved.name}"?`)) return;
+
+  try {
+    const res = await fetch(`/api/queries/${saved._id}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    if (currentSavedQueryId === saved._id) startNewSavedQuery();
+    await loadSavedQueries();
+  } catch (error) {
+    alert(`Error deleting query: ${error.message}`);
+  }
+}
+
+/**
+ * Detach the form from the open saved query, so the next save creates one
+ */
+function startNewSavedQuery() {
+  currentSavedQueryId = null;
+  savedQueryForm.reset();
+  savedQueryForm.elements.owner.value = localStorage.getItem(OWNER_STORAGE_KEY) || '';
+  renderSavedQueries();
+}
+
+savedQueriesFilter.addEventListener('input', renderSavedQueries);
+savedQueryForm.addEventListener('submit', saveCurrentQuery);
+savedQueryNewBtn.addEventListener('click', startNewSavedQuery);
+
+startNewSavedQuery();
+loadSavedQueries();
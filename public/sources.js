@@ -0,0 +1,164 @@
+// Sources panel: named S3 / local-directory preset sources (see /api/sources)
+
+const sourcesBtn = document.getElementById('sourcesBtn');
+const sourcesCard = document.getElementById('sourcesCard');
+const sourcesTable = document.getElementById('sourcesTable');
+const sourceForm = document.getElementById('sourceForm');
+const sourceDeleteBtn = document.getElementById('sourceDeleteBtn');
+
+const SOURCE_COLUMNS = [
+  { key: 'name', label: 'name' },
+  { key: 'type', label: 'type' },
+  { key: 'location', label: 'location' },
+  { key: 'include', label: 'include' },
+  { key: 'exclude', label: 'exclude' },
+  { key: 'schedule', label: 'schedule' },
+  { key: 'nextSyncAt', label: 'next sync' },
+  { key: 'lastSync', label: 'last sync' },
+  { key: 'fileCount', label: 'files', numeric: true },
+  { key: 'objectCount', label: 'objects', numeric: true }
+];
+
+/**
+ * Format a sources table cell
+ */
+function formatSourceValue(value, col) {
+  if (value === null || value === undefined) return '';
+  if (col.key === 'lastSync' || col.key === 'nextSyncAt') return new Date(value).toLocaleString();
+  if (typeof value === 'number') return value.toLocaleString();
+  return String(value);
+}
+
+/**
+ * Show only the form fields that apply to the selected source type
+ */
+function updateSourceFormFields() {
+  const type = sourceForm.elements.type.value;
+  for (const label of sourceForm.querySelectorAll('[data-type]')) {
+    label.hidden = label.dataset.type !== type;
+  }
+}
+
+/**
+ * Fill the form with an existing source for editing
+ */
+function editSource(source) {
+  const fields = sourceForm.elements;
+  fields.name.value = source.name;
+  fields.type.value = source.type;
+  fields.bucket.value = source.bucket || '';
+  fields.prefix.value = source.prefix || '';
+  fields.region.value = source.region || '';
+  fields.directory.value = source.directory || '';
+  fields.include.value = (source.include || []).join(', ');
+  fields.exclude.value = (source.exclude || []).join(', ');
+  fields.schedule.value = source.schedule || '';
+  fields.description.value = source.description || '';
+  updateSourceFormFields();
+}
+
+/**
+ * Load source profiles into the sync picker and the sources table
+ */
+async function loadSources() {
+  try {
+    const res = await fetch('/api/sources');
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    const selected = sourceSelect.value;
+    sourceSelect.innerHTML = '';
+    for (const source of data.sources) {
+      sourceSelect.appendChild(new Option(source.name, source.name));
+    }
+    if (data.sources.some(source => source.name === selected)) {
+      sourceSelect.value = selected;
+    }
+
+    const rows = data.sources.map(source => ({
+      ...source,
+      location: source.type === 'local'
+        ? source.directory
+        : `s3://${source.bucket}/${source.prefix || ''}`,
+      include: (source.include || []).join(', '),
+      exclude: (source.exclude || []).join(', ')
+    }));
+    renderSortableTable(sourcesTable, SOURCE_COLUMNS, rows, formatSourceValue, row => {
+      editSource(data.sources.find(source => source.name === row.name));
+    });
+  } catch (error) {
+    console.error('Error loading sources:', error);
+  }
+}
+
+/**
+ * Create or update the source in the form
+ */
+async function saveSource(event) {
+  event.preventDefault();
+  const fields = sourceForm.elements;
+  const name = fields.name.value.trim();
+
+  const body = {
+    type: fields.type.value,
+    bucket: fields.bucket.value.trim(),
+    prefix: fields.prefix.value.trim(),
+    region: fields.region.value.trim(),
+    directory: fields.directory.value.trim(),
+    include: fields.include.value,
+    exclude: fields.exclude.value,
+    schedule: fields.schedule.value.trim(),
+    description: fields.description.value.trim()
+  };
+
+  try {
+    const res = await fetch(`/api/sources/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    await loadSources();
+  } catch (error) {
+    alert(`Error saving source: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the source in the form, with everything synced from it
+ */
+async function deleteSource() {
+  const name = sourceForm.elements.name.value.trim();
+  if (!name) return;
+  if (!confirm(`Delete source "${name}" and all presets synced from it?`)) return;
+
+  try {
+    const res = await fetch(`/api/sources/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    sourceForm.reset();
+    updateSourceFormFields();
+    await loadSources();
+    loadStatus();
+  } catch (error) {
+    alert(`Error deleting source: ${error.message}`);
+  }
+}
+
+/**
+ * Toggle the sources panel
+ */
+function toggleSources() {
+  sourcesCard.hidden = !sourcesCard.hidden;
+  if (!sourcesCard.hidden) loadSources();
+}
+
+sourcesBtn.addEventListener('click', toggleSources);
+sourceForm.addEventListener('submit', saveSource);
+sourceForm.elements.type.addEventListener('change', updateSourceFormFields);
+sourceDeleteBtn.addEventListener('click', deleteSource);
+
+loadSources();
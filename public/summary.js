@@ -0,0 +1,120 @@
+// Summary tab: group-by pivots over the current filters (see /api/aggregate)
+
+const summaryGroupBy = document.getElementById('summaryGroupBy');
+const summaryNumeric = document.getElementById('summaryNumeric');
+const summaryDistinct = document.getElementById('summaryDistinct');
+const summaryBtn = document.getElementById('summaryBtn');
+const summaryTable = document.getElementById('summaryTable');
+const summaryNote = document.getElementById('summaryNote');
+
+/**
+ * Split a comma-separated field list
+ */
+function parseFieldList(value) {
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Format a summary cell
+ */
+function formatSummaryValue(value, col) {
+  if (value === null || value === undefined) return '';
+  if (col.key.endsWith(':avg') && typeof value === 'number') {
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+  if (typeof value === 'number') return value.toLocaleString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Fetch and render the summary for the current filters
+ */
+async function runSummary() {
+  if (!(await syncFilterText())) return;
+
+  const groupBy = parseFieldList(summaryGroupBy.value);
+  const numeric = parseFieldList(summaryNumeric.value);
+  const distinct = parseFieldList(summaryDistinct.value);
+
+  summaryBtn.disabled = true;
+  summaryBtn.textContent = 'Summarizing...';
+
+  try {
+    const res = await fetch('/api/aggregate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        filters: getFilters(),
+        scope: scopeSelect.value,
+        text: textSearchInput.value.trim(),
+        groupBy,
+        numeric,
+        distinct
+      })
+    });
+
+    const data = await res.json();
+
+    if (data.error) {
+      alert(data.error);
+      return;
+    }
+
+    displaySummary(data);
+  } catch (error) {
+    console.error(error);
+    alert('Error building summary');
+  } finally {
+    summaryBtn.disabled = false;
+    summaryBtn.textContent = '📊 Summarize';
+  }
+}
+
+/**
+ * Render aggregation groups as a sortable table
+ */
+function displaySummary(data) {
+  const columns = [
+    ...data.groupBy.map(field => ({ key: `group:${field}`, label: field })),
+    { key: 'count', label: 'objects', numeric: true },
+    { key: 'presetCount', label: 'presets', numeric: true }
+  ];
+
+  for (const field of data.numeric) {
+    for (const stat of ['min', 'max', 'avg']) {
+      columns.push({ key: `${field}:${stat}`, label: `${field} ${stat}`, numeric: true });
+    }
+  }
+
+  for (const field of data.distinct) {
+    columns.push({ key: `${field}:distinctCount`, label: `${field} (# distinct)`, numeric: true });
+    columns.push({ key: `${field}:distinct`, label: `${field} values` });
+  }
+
+  const rows = data.groups.map(group => {
+    const row = { count: group.count, presetCount: group.presetCount };
+    for (const field of data.groupBy) {
+      row[`group:${field}`] = group.values[field];
+    }
+    for (const field of data.numeric) {
+      for (const stat of ['min', 'max', 'avg']) {
+        row[`${field}:${stat}`] = group.stats[field][stat];
+      }
+    }
+    for (const field of data.distinct) {
+      row[`${field}:distinctCount`] = group.distinct[field].count;
+      row[`${field}:distinct`] = group.distinct[field].values.join(', ');
+    }
+    return row;
+  });
+
+  renderSortableTable(summaryTable, columns, rows, formatSummaryValue);
+
+  const noun = data.groupCount === 1 ? 'group' : 'groups';
+  summaryNote.textContent = data.truncated
+    ? `Showing ${data.groups.length.toLocaleString()} largest of ${data.groupCount.toLocaleString()} ${noun} (${data.totalCount.toLocaleString()} objects).`
+    : `${data.groupCount.toLocaleString()} ${noun} covering ${data.totalCount.toLocaleString()} objects.`;
+}
+
+summaryBtn.addEventListener('click', runSummary);
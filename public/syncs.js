@@ -0,0 +1,175 @@
+// Sync history panel: past runs and their file-level change log (see /api/syncs)
+
+const historyBtn = document.getElementById('historyBtn');
+const historyCard = document.getElementById('historyCard');
+const historySince = document.getElementById('historySince');
+const historyFile = document.getElementById('historyFile');
+const historyChangesBtn = document.getElementById('historyChangesBtn');
+const historyFailuresBtn = document.getElementById('historyFailuresBtn');
+const retryFailedBtn = document.getElementById('retryFailedBtn');
+const historyTable = document.getElementById('historyTable');
+const historyDetail = document.getElementById('historyDetail');
+const historyDetailTitle = document.getElementById('historyDetailTitle');
+const historyDetailTable = document.getElementById('historyDetailTable');
+
+const CHANGE_COLUMNS = [
+  { key: 'change', label: 'change' },
+  { key: 'fileName', label: 'file' },
+  { key: 'reason', label: 'reason' },
+  { key: 'lastModified', label: 'last modified' },
+  { key: 'previousObjectCount', label: 'objects before', numeric: true },
+  { key: 'objectCount', label: 'objects after', numeric: true },
+  { key: 'objectDelta', label: 'delta', numeric: true },
+  { key: 'error', label: 'error' }
+];
+
+const FAILURE_COLUMNS = [
+  { key: 'source', label: 'source' },
+  { key: 'fileName', label: 'file' },
+  { key: 'stage', label: 'stage' },
+  { key: 'error', label: 'error' },
+  { key: 'lastModified', label: 'last modified' },
+  { key: 'failedAt', label: 'failed' },
+  { key: 'attempts', label: 'attempts', numeric: true }
+];
+
+/**
+ * Format a history cell
+ */
+function formatHistoryValue(value, col) {
+  if (value === null || value === undefined) return '';
+  if (col.key === 'objectDelta' && typeof value === 'number') {
+    return value > 0 ? `+${value.toLocaleString()}` : value.toLocaleString();
+  }
+  if (typeof value === 'number') return value.toLocaleString();
+  if (col.key.endsWith('At') || col.key === 'lastModified') {
+    return new Date(value).toLocaleString();
+  }
+  return String(value);
+}
+
+/**
+ * Fetch JSON and surface API errors
+ */
+async function fetchHistory(url) {
+  const res = await fetch(url);
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
+  return data;
+}
+
+/**
+ * Load the list of sync runs
+ */
+async function loadSyncHistory() {
+  const params = new URLSearchParams();
+  if (historySince.value) params.set('since', historySince.value);
+
+  try {
+    const data = await fetchHistory(`/api/syncs?${params}`);
+
+    const columns = [
+      { key: 'startedAt', label: 'started' },
+      { key: 'source', label: 'source' },
+      { key: 'trigger', label: 'trigger' },
+      { key: 'status', label: 'status' },
+      { key: 'addedCount', label: 'added', numeric: true },
+      { key: 'changedCount', label: 'changed', numeric: true },
+      { key: 'deletedCount', label: 'deleted', numeric: true },
+      { key: 'failedCount', label: 'failed', numeric: true },
+      { key: 'objectDelta', label: 'object delta', numeric: true },
+      { key: 'elapsed', label: 'seconds', numeric: true }
+    ];
+
+    const rows = data.runs.map(run => ({
+      ...run,
+      objectDelta: run.totals ? run.totals.objectDelta : null
+    }));
+
+    // Click a run to see its file list
+    renderSortableTable(historyTable, columns, rows, formatHistoryValue, run => showSyncRun(run._id));
+  } catch (error) {
+    console.error('Error loading sync history:', error);
+    alert(`Error loading sync history: ${error.message}`);
+  }
+}
+
+/**
+ * Show the file-level change log of one run
+ */
+async function showSyncRun(id) {
+  try {
+    const run = await fetchHistory(`/api/syncs/${id}`);
+
+    const rows = [
+      ...run.added.map(file => ({ change: 'added', ...file })),
+      ...run.changed.map(file => ({ change: 'changed', ...file })),
+      ...run.deleted.map(file => ({ change: 'deleted', ...file })),
+      ...(run.failed || []).map(file => ({ change: 'failed', reason: file.stage, ...file }))
+    ];
+
+    historyDetailTitle.textContent = `Sync of ${new Date(run.startedAt).toLocaleString()} (${run.status})${run.error ? ` - ${run.error}` : ''}`;
+    renderSortableTable(historyDetailTable, CHANGE_COLUMNS, rows, formatHistoryValue);
+    historyDetail.hidden = false;
+  } catch (error) {
+    console.error('Error loading sync run:', error);
+    alert(`Error loading sync run: ${error.message}`);
+  }
+}
+
+/**
+ * Show every file change since the chosen date across all runs
+ */
+async function showChanges() {
+  const params = new URLSearchParams();
+  if (historySince.value) params.set('since', historySince.value);
+  if (historyFile.value.trim()) params.set('fileName', historyFile.value.trim());
+
+  try {
+    const data = await fetchHistory(`/api/syncs/changes?${params}`);
+
+    const since = historySince.value ? ` since ${historySince.value}` : '';
+    historyDetailTitle.textContent = `${data.count.toLocaleString()} file changes in ${data.runCount} syncs${since}`;
+    renderSortableTable(
+      historyDetailTable,
+      [{ key: 'syncedAt', label: 'synced' }, { key: 'source', label: 'source' }, ...CHANGE_COLUMNS],
+      data.changes,
+      formatHistoryValue
+    );
+    historyDetail.hidden = false;
+  } catch (error) {
+    console.error('Error loading changes:', error);
+    alert(`Error loading changes: ${error.message}`);
+  }
+}
+
+/**
+ * Show files whose last sync attempt failed
+ */
+async function showFailures() {
+  try {
+    const data = await fetchHistory('/api/syncs/failures');
+
+    historyDetailTitle.textContent = `${data.count.toLocaleString()} files failed to sync`;
+    renderSortableTable(historyDetailTable, FAILURE_COLUMNS, data.failures, formatHistoryValue);
+    historyDetail.hidden = false;
+  } catch (error) {
+    console.error('Error loading failures:', error);
+    alert(`Error loading failures: ${error.message}`);
+  }
+}
+
+/**
+ * Toggle the history panel
+ */
+function toggleSyncHistory() {
+  historyCard.hidden = !historyCard.hidden;
+  if (!historyCard.hidden) loadSyncHistory();
+}
+
+historyBtn.addEventListener('click', toggleSyncHistory);
+historySince.addEventListener('change', loadSyncHistory);
+historyChangesBtn.addEventListener('click', showChanges);
+historyFailuresBtn.addEventListener('click', showFailures);
+// Re-sync only the failed files of the selected source, as a regular sync job
+retryFailedBtn.addEventListener('click', () => syncData({ retryFailed: true }));
@@ -0,0 +1,155 @@
+// Preset versions panel: object-level diff between two synced versions
+// of a preset from the source selected in the status bar
+
+const versionsBtn = document.getElementById('versionsBtn');
+const versionsCard = document.getElementById('versionsCard');
+const versionsFile = document.getElementById('versionsFile');
+const versionsFrom = document.getElementById('versionsFrom');
+const versionsTo = document.getElementById('versionsTo');
+const versionsDiffBtn = document.getElementById('versionsDiffBtn');
+const versionsSummary = document.getElementById('versionsSummary');
+const versionsTable = document.getElementById('versionsTable');
+const filesList = document.getElementById('filesList');
+
+const DIFF_COLUMNS = [
+  { key: 'change', label: 'change' },
+  { key: 'type', label: 'type' },
+  { key: 'object', label: 'object' },
+  { key: 'path', label: 'tree path' },
+  { key: 'property', label: 'property' },
+  { key: 'before', label: 'before' },
+  { key: 'after', label: 'after' }
+];
+
+/**
+ * Populate the file name autocomplete from synced files
+ */
+async function loadFileNames() {
+  try {
+    const params = new URLSearchParams({ source: sourceSelect.value });
+    const res = await fetch(`/api/files?${params}`);
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    filesList.innerHTML = '';
+    for (const file of data.files) {
+      const option = document.createElement('option');
+      option.value = file.fileName;
+      filesList.appendChild(option);
+    }
+  } catch (error) {
+    console.error('Error loading files:', error);
+  }
+}
+
+/**
+ * Label for an object in the diff table
+ */
+function describeObject(obj) {
+  return obj.conrolTitle || obj.name || obj.id || '';
+}
+
+/**
+ * Load the stored versions of the chosen preset into the from/to pickers
+ */
+async function loadVersions() {
+  const fileName = versionsFile.value.trim();
+  versionsFrom.innerHTML = '';
+  versionsTo.innerHTML = '';
+  versionsDiffBtn.disabled = true;
+  if (!fileName) return;
+
+  try {
+    const params = new URLSearchParams({ source: sourceSelect.value });
+    const res = await fetch(`/api/presets/${encodeURIComponent(fileName)}/versions?${params}`);
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    for (const version of data.versions) {
+      const label = `${new Date(version.lastModified).toLocaleString()} (${version.objectCount} objects)`;
+      versionsFrom.appendChild(new Option(label, version._id));
+      versionsTo.appendChild(new Option(label, version._id));
+    }
+
+    // Default to the latest version against the one before it
+    versionsTo.selectedIndex = 0;
+    versionsFrom.selectedIndex = data.versions.length > 1 ? 1 : 0;
+    versionsDiffBtn.disabled = data.versions.length < 2;
+    versionsSummary.textContent = data.versions.length < 2
+      ? `${data.versions.length} stored version(s) - need two to diff.`
+      : '';
+  } catch (error) {
+    console.error('Error loading versions:', error);
+    alert(`Error loading versions: ${error.message}`);
+  }
+}
+
+/**
+ * Diff the two selected versions
+ */
+async function diffVersions() {
+  const fileName = versionsFile.value.trim();
+  const params = new URLSearchParams({
+    source: sourceSelect.value,
+    from: versionsFrom.value,
+    to: versionsTo.value
+  });
+
+  try {
+    const res = await fetch(`/api/presets/${encodeURIComponent(fileName)}/diff?${params}`);
+    const data = await res.json();
+    if (data.error) throw new Error(data.error);
+
+    displayObjectDiff(data, versionsSummary, versionsTable);
+  } catch (error) {
+    console.error('Error diffing versions:', error);
+    alert(`Error diffing versions: ${error.message}`);
+  }
+}
+
+/**
+ * Render an object-level diff: one row per added/removed object and one
+ * row per changed property of modified objects
+ */
+function displayObjectDiff(data, summaryEl, table, columns = DIFF_COLUMNS) {
+  const { summary } = data;
+  summaryEl.textContent = `${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.unchanged} unchanged objects.`;
+
+  const rows = [];
+  for (const obj of data.added) {
+    rows.push({ change: 'added', type: obj.type, object: describeObject(obj), path: obj.path });
+  }
+  for (const obj of data.removed) {
+    rows.push({ change: 'removed', type: obj.type, object: describeObject(obj), path: obj.path });
+  }
+  for (const mod of data.modified) {
+    const base = {
+      change: 'modified',
+      type: mod.after.type,
+      object: describeObject(mod.after)
+    };
+    if (mod.moved) {
+      rows.push({ ...base, path: mod.after.path, property: '(position)', before: mod.before.path, after: mod.after.path });
+    }
+    for (const change of mod.changes) {
+      rows.push({ ...base, path: mod.after.path, property: change.property, before: change.before, after: change.after });
+    }
+  }
+
+  renderSortableTable(table, columns, rows, value => value === undefined || value === null ? '' : String(value));
+}
+
+/**
+ * Toggle the versions panel
+ */
+function toggleVersions() {
+  versionsCard.hidden = !versionsCard.hidden;
+  if (!versionsCard.hidden) loadFileNames();
+}
+
+versionsBtn.addEventListener('click', toggleVersions);
+versionsFile.addEventListener('change', loadVersions);
+versionsDiffBtn.addEventListener('click', diffVersions);
+sourceSelect.addEventListener('change', () => {
+  if (!versionsCard.hidden) loadFileNames();
+});
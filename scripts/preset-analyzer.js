@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+/**
+ * Command-line access to the analyzer without the web server: sync a
+ * source, search, export and show status with the same logic as server.js.
+ *
+ * Usage:
+ *   preset-analyzer <command> [options]
+ *
+ * Commands:
+ *   status                  synced files and objects, last and running sync
+ *   sync                    sync a source (Ctrl+C cancels after the current batch),
+ *                           then check the asset references it added
+ *     --source <name>       source profile (default: the default source)
+ *     --retry-failed        only re-sync the files that failed last time
+ *     --file <fileName>     only check this file (repeatable)
+ *   search                  write the first matching objects, report the total
+ *     --limit <n>           rows to write (default 100, 0 for none)
+ *     --mode presets        one row per preset containing matches instead
+ *   export                  write every matching object
+ *     --fail-on-match       exit with 1 when anything matches, like search
+ *
+ * Search and export options:
+ *   --query <file.json>     search saved as JSON ({ filters, columns, scope,
+ *                           sort, text }, e.g. a saved query from /api/queries/:id)
+ *   --saved <name>          a saved query by name
+ *   --filter <property>:<operator>[:<value>]
+ *                           repeatable; added to the query's filters. `between`
+ *                           takes low,high as its value
+ *   --where <query>         filters as a text query, added to the query's
+ *                           filters, e.g. 'type:image AND (width>500 OR scaleX>1)'
+ *                           (see lib/filterText.js for the syntax)
+ *   --any                   match any --filter instead of all of them
+ *   --text <words>          free-text search of text, titles, labels, etc.
+ *                           ("phrase", -excluded); ranked by relevance
+ *                           unless --sort is given
+ *   --columns <a,b>         columns to write (default: the query's, or
+ *                           fileName, conrolTitle, type, className); filter
+ *                           and select preset-level properties as preset.*
+ *   --scope <scope>         all, top-level or nested
+ *   --sort <col[:desc],...> sort order
+ *   --format <format>       csv (default) or ndjson; export also takes xlsx
+ *   --output <path>         write to a file instead of stdout
+ *
+ * Other options:
+ *   --json                  status/sync: print the result as JSON
+ *
+ * Exit codes:
+ *   0  done; search found nothing
+ *   1  search (or export with --fail-on-match) found matches; sync finished
+ *      but some files failed
+ *   2  invalid command line or query
+ *   3  anything else failed (database, source, sync locked or cancelled)
+ *
+ * Reads MONGODB_URI and the source settings from the environment (.env).
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const { finished } = require('stream/promises');
+const { MongoClient } = require('mongodb');
+const {
+  DEFAULT_COLUMNS,
+  QueryError,
+  buildQuery,
+  buildProjection,
+  buildSort,
+  normalizeSort,
+  normalizeMode,
+  flattenResults,
+} = require('../lib/query');
+const { escapeCSV, exportObjectsToStream } = require('../lib/export');
+const {
+  resolvePresetFilters,
+  findObjects,
+  presetColumns,
+  searchPresets,
+} = require('../lib/presetSearch');
+const { parseFilterText } = require('../lib/filterText');
+const { TEXT_SCORE } = require('../lib/textSearch');
+const { DB_NAME, prepareDatabase } = require('../lib/db');
+const { DEFAULT_SOURCE } = require('../lib/sources');
+const { getActiveSyncLock, syncSource } = require('../lib/sync');
+const { runAssetCheck } = require('../lib/assets');
+
+const EXIT_OK = 0;
+const EXIT_MATCHES = 1;
+const EXIT_USAGE = 2;
+const EXIT_ERROR = 3;
+
+const DEFAULT_SEARCH_LIMIT = 100;
+
+// Options that take a value; the others are flags
+const VALUE_OPTIONS = new Set([
+  'source',
+  'file',
+  'limit',
+  'query',
+  'saved',
+  'filter',
+  'where',
+  'columns',
+  'scope',
+  'sort',
+  'mode',
+  'text',
+  'format',
+  'output',
+]);
+const REPEATABLE_OPTIONS = new Set(['file', 'filter']);
+const FLAG_OPTIONS = new Set(['retry-failed', 'fail-on-match', 'any', 'json', 'help']);
+
+/**
+ * Invalid command line (exit code 2)
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function parseArgs(argv) {
+  const options = { file: [], filter: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = arg.startsWith('--') ? arg.slice(2) : null;
+
+    if (VALUE_OPTIONS.has(name)) {
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      const value = argv[++i];
+      if (REPEATABLE_OPTIONS.has(name)) options[name].push(value);
+      else options[name] = value;
+    } else if (FLAG_OPTIONS.has(name)) {
+      options[name] = true;
+    } else {
+      throw new UsageError(`Unknown option "${arg}"`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse --filter property:operator[:value]; the value may contain colons
+ */
+function parseFilter(text) {
+  const [property, operator, ...rest] = text.split(':');
+  if (!property || !operator) {
+    throw new UsageError(`Invalid --filter "${text}" (use property:operator[:value])`);
+  }
+
+  const value = rest.join(':');
+  if (operator === 'between') {
+    const [low, high] = value.split(',');
+    return { property, operator, value: low, value2: high };
+  }
+  return { property, operator, value };
+}
+
+/**
+ * The search described by --query/--saved and the other query options,
+ * resolved to a MongoDB query
+ */
+async function loadSearch(db, options) {
+  let search = {};
+
+  if (options.query) {
+    try {
+      search = JSON.parse(fs.readFileSync(options.query, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`Can't read query file ${options.query}: ${error.message}`);
+    }
+  }
+  if (options.saved) {
+    const saved = await db.collection('savedQueries').findOne({ name: options.saved });
+    if (!saved) throw new UsageError(`No saved query named "${options.saved}"`);
+    search = saved;
+  }
+
+  let { filters } = search;
+  if (options.filter.length > 0) {
+    const group = { logic: options.any ? 'or' : 'and', filters: options.filter.map(parseFilter) };
+    filters = filters ? { logic: 'and', filters: [filters, group] } : group;
+  }
+  if (options.where) {
+    const parsed = parseFilterText(options.where);
+    filters = filters ? { logic: 'and', filters: [filters, parsed] } : parsed;
+  }
+
+  const scope = options.scope || search.scope || 'all';
+  const columns = options.columns
+    ? options.columns.split(',').map((column) => column.trim()).filter(Boolean)
+    : search.columns;
+
+  const text = options.text !== undefined ? options.text : search.text;
+
+  return {
+    query: buildQuery({ filters, scope, text }),
+    columns: columns && columns.length > 0 ? columns : DEFAULT_COLUMNS,
+    sort: normalizeSort(options.sort || search.sort),
+    mode: normalizeMode(options.mode || search.mode),
+  };
+}
+
+/**
+ * Where results go: the --output file or stdout
+ */
+function openOutput(options) {
+  return options.output ? fs.createWriteStream(options.output) : process.stdout;
+}
+
+/**
+ * Wait until an output stream ended by the writer is flushed
+ */
+async function closeOutput(out) {
+  if (out !== process.stdout) await finished(out);
+}
+
+async function status(db, options) {
+  const metadata = await db.collection('metadata').findOne({ _id: 'sync' });
+  const lock = await getActiveSyncLock(db);
+  const failureCount = await db.collection('syncFailures').countDocuments();
+
+  const result = {
+    fileCount: metadata?.fileCount || 0,
+    objectCount: metadata?.objectCount || 0,
+    lastSync: metadata?.lastSync || null,
+    failureCount,
+    activeSync: lock
+      ? { source: lock.source, trigger: lock.trigger, startedAt: lock.acquiredAt }
+      : null,
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`Files:         ${result.fileCount.toLocaleString()}`);
+    console.log(`Objects:       ${result.objectCount.toLocaleString()}`);
+    console.log(`Last sync:     ${result.lastSync || 'never'}`);
+    console.log(`Failed files:  ${failureCount.toLocaleString()}`);
+    console.log(
+      `Running sync:  ${lock ? `${lock.source} (${lock.trigger}, since ${lock.acquiredAt})` : 'none'}`,
+    );
+  }
+  return EXIT_OK;
+}
+
+async function sync(db, options) {
+  await prepareDatabase(db);
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.error('Cancelling after the current batch...');
+    controller.abort();
+  });
+
+  const result = await syncSource(
+    db,
+    options.source || DEFAULT_SOURCE.name,
+    (event) => {
+      if (event.message) console.error(event.message);
+    },
+    {
+      trigger: 'cli',
+      retryFailed: Boolean(options['retry-failed']),
+      files: options.file.length > 0 ? options.file : null,
+      signal: controller.signal,
+    },
+  );
+
+  // The server checks in the background; here it has to finish before the
+  // connection is closed
+  console.error('Checking asset references...');
+  try {
+    const assets = await runAssetCheck(db);
+    console.error(`Checked ${assets.checked} asset(s)`);
+  } catch (error) {
+    console.error(`Asset check failed: ${error.message}`);
+  }
+
+  if (options.json) console.log(JSON.stringify(result, null, 2));
+  return result.failedCount > 0 ? EXIT_MATCHES : EXIT_OK;
+}
+
+async function search(db, options) {
+  const format = options.format || 'csv';
+  if (!['csv', 'ndjson'].includes(format)) {
+    throw new UsageError(`search writes csv or ndjson, not "${format}" (use export)`);
+  }
+  const limit = options.limit === undefined ? DEFAULT_SEARCH_LIMIT : parseInt(options.limit, 10);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new UsageError(`Invalid --limit "${options.limit}"`);
+  }
+
+  const { query, columns, sort, mode } = await loadSearch(db, options);
+
+  let docs = [];
+  let totalCount;
+  if (mode === 'presets') {
+    const page = await searchPresets(db, {
+      query,
+      sort,
+      offset: 0,
+      limit: Math.max(limit, 1),
+    });
+    docs = page.docs.slice(0, limit);
+    totalCount = page.totalCount;
+  } else {
+    const objectQuery = await resolvePresetFilters(db, query);
+    totalCount = await db.collection('objects').countDocuments(objectQuery);
+    if (limit > 0) {
+      docs = await findObjects(db.collection('objects'), objectQuery, {
+        projection: buildProjection(columns),
+        sort: query.$text && sort.length === 0 ? { _score: TEXT_SCORE, _id: 1 } : buildSort(sort),
+        limit,
+      }).toArray();
+    }
+  }
+  const { columns: flatColumns, rows } = flattenResults(
+    docs,
+    mode === 'presets' ? presetColumns(columns) : columns,
+  );
+
+  if (rows.length > 0) {
+    const out = openOutput(options);
+    const lines =
+      format === 'csv'
+        ? [
+            flatColumns.map(escapeCSV).join(','),
+            ...rows.map((row) => flatColumns.map((column) => escapeCSV(row[column])).join(',')),
+          ]
+        : rows.map((row) => JSON.stringify(row));
+    out.end(lines.join('\n') + '\n');
+    await closeOutput(out);
+  }
+
+  console.error(
+    `${totalCount.toLocaleString()} matching ${mode}${rows.length < totalCount ? ` (${rows.length} written)` : ''}`,
+  );
+  return totalCount > 0 ? EXIT_MATCHES : EXIT_OK;
+}
+
+async function exportCommand(db, options) {
+  const format = options.format || 'csv';
+  if (format === 'xlsx' && !options.output && process.stdout.isTTY) {
+    throw new UsageError('Write XLSX exports to a file with --output');
+  }
+
+  const { query, columns, sort, mode } = await loadSearch(db, options);
+  if (mode === 'presets') {
+    throw new UsageError('Exports have one row per object; use search --mode presets');
+  }
+  const out = openOutput(options);
+  const rowCount = await exportObjectsToStream(
+    db.collection('objects'),
+    { query: await resolvePresetFilters(db, query), columns, format, sort },
+    out,
+  );
+  await closeOutput(out);
+
+  console.error(`Exported ${rowCount.toLocaleString()} rows as ${format}`);
+  return options['fail-on-match'] && rowCount > 0 ? EXIT_MATCHES : EXIT_OK;
+}
+
+const COMMANDS = {
+  status,
+  sync,
+  search,
+  export: exportCommand,
+};
+
+function printUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  const doc = source.slice(source.indexOf('/**') + 3, source.indexOf('*/'));
+  console.log(doc.replace(/^ \* ?/gm, '').trim());
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command || command === '--help' || command === 'help') {
+    printUsage();
+    return command ? EXIT_OK : EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command "${command}" (use status, sync, search or export)`);
+  }
+
+  const options = parseArgs(args);
+  if (options.help) {
+    printUsage();
+    return EXIT_OK;
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    return await COMMANDS[command](client.db(DB_NAME), options);
+  } finally {
+    await client.close();
+  }
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode =
+      error instanceof UsageError || error instanceof QueryError ? EXIT_USAGE : EXIT_ERROR;
+  });
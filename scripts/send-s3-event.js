@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for S3 event notifications: posts an S3-event-shaped
+ * payload for the given keys to /api/sync/s3-events.
+ *
+ * Usage:
+ *   node scripts/send-s3-event.js [options] <key>...
+ *
+ * Options:
+ *   --url <url>        server (default http://localhost:$PORT or 3000)
+ *   --bucket <name>    bucket the keys are in (default: the default source's)
+ *   --source <name>    match the keys against this source only; for a local
+ *                      source, keys are paths inside its directory
+ *   --removed          send ObjectRemoved events instead of ObjectCreated
+ *
+ * SYNC_EVENTS_TOKEN is sent as X-Sync-Token when set.
+ */
+require('dotenv').config();
+
+const { DEFAULT_SOURCE } = require('../lib/sources');
+
+function parseArgs(argv) {
+  const options = {
+    url: `http://localhost:${process.env.PORT || 3000}`,
+    bucket: DEFAULT_SOURCE.bucket,
+    source: null,
+    removed: false,
+    keys: [],
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') options.url = argv[++i];
+    else if (arg === '--bucket') options.bucket = argv[++i];
+    else if (arg === '--source') options.source = argv[++i];
+    else if (arg === '--removed') options.removed = true;
+    else options.keys.push(arg);
+  }
+
+  return options;
+}
+
+/**
+ * Build a notification like the ones S3 sends (keys URL-encoded)
+ */
+function buildEvent({ bucket, removed, keys }) {
+  return {
+    Records: keys.map((key) => ({
+      eventVersion: '2.1',
+      eventSource: 'aws:s3',
+      eventTime: new Date().toISOString(),
+      eventName: removed ? 'ObjectRemoved:Delete' : 'ObjectCreated:Put',
+      s3: {
+        bucket: { name: bucket, arn: `arn:aws:s3:::${bucket}` },
+        object: { key: encodeURIComponent(key).replace(/%2F/g, '/').replace(/%20/g, '+') },
+      },
+    })),
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.keys.length === 0) {
+    console.error('Usage: node scripts/send-s3-event.js [--url u] [--bucket b] [--source s] [--removed] <key>...');
+    process.exit(1);
+  }
+
+  const url = new URL('/api/sync/s3-events', options.url);
+  if (options.source) url.searchParams.set('source', options.source);
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.SYNC_EVENTS_TOKEN
+        ? { 'X-Sync-Token': process.env.SYNC_EVENTS_TOKEN }
+        : {}),
+    },
+    body: JSON.stringify(buildEvent(options)),
+  });
+
+  console.log(res.status, JSON.stringify(await res.json(), null, 2));
+  if (!res.ok) process.exit(1);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
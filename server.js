@@ -1,12 +1,72 @@
 require('dotenv').config();
 
 const express = require('express');
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
 const {
-  S3Client,
-  ListObjectsV2Command,
-  GetObjectCommand,
-} = require('@aws-sdk/client-s3');
+  DEFAULT_COLUMNS,
+  QueryError,
+  flattenResults,
+  buildProjection,
+  normalizeSort,
+  buildSort,
+  toList,
+  normalizeMode,
+  normalizePage,
+  buildQuery,
+} = require('./lib/query');
+const { exportObjects } = require('./lib/export');
+const { aggregateObjects } = require('./lib/aggregate');
+const { buildInventory, findInventoryObjects } = require('./lib/inventory');
+const {
+  resolvePresetFilters,
+  findObjects,
+  presetColumns,
+  searchPresets,
+} = require('./lib/presetSearch');
+const { TEXT_SCORE, parseTextSearch } = require('./lib/textSearch');
+const { extractObjects } = require('./lib/extract');
+const { diffObjects } = require('./lib/diff');
+const {
+  DEFAULT_SOURCE,
+  SourceError,
+  normalizeSource,
+} = require('./lib/sources');
+const {
+  getPropertyCatalog,
+  invalidatePropertyCatalog,
+} = require('./lib/catalog');
+const {
+  SyncLockedError,
+  getActiveSyncLock,
+  markInterruptedRuns,
+} = require('./lib/sync');
+const { DB_NAME, prepareDatabase } = require('./lib/db');
+const { nextRunAt } = require('./lib/schedule');
+const { normalizeSavedQuery } = require('./lib/savedQueries');
+const { FilterSyntaxError, parseFilterText, formatFilterText } = require('./lib/filterText');
+const {
+  SEVERITIES,
+  RulesLockedError,
+  normalizeRule,
+  runRules,
+  deleteRule,
+  getHealth,
+} = require('./lib/rules');
+const { AssetCheckRunningError, runAssetCheck, getAssetReport } = require('./lib/assets');
+const { renderSvg, renderPng } = require('./lib/preview');
+const { BulkEditError, planBulkEdit, applyBulkEdit } = require('./lib/bulkEdit');
+const {
+  enqueueS3Event,
+  drainSyncQueue,
+  startScheduler,
+} = require('./lib/scheduler');
+const {
+  describeJob,
+  startSyncJob,
+  getJob,
+  cancelJob,
+  subscribeJob,
+} = require('./lib/jobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,410 +75,1323 @@ const PORT = process.env.PORT || 3000;
 const mongoClient = new MongoClient(process.env.MONGODB_URI);
 let db;
 
-// S3 Configuration
-const S3_BUCKET = 'gipper-static-assets';
-const S3_PREFIX = 'default_presets_update/';
-
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION || 'us-east-1',
-  credentials: process.env.AWS_ACCESS_KEY_ID
-    ? {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      }
-    : undefined,
-});
-
 // Middleware
 app.use(express.static('public'));
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
 
-/**
- * Extract objects from a preset JSON
- */
-function extractObjects(json, fileName) {
-  const results = [];
+// API: Get status
+app.get('/api/status', async (req, res) => {
+  try {
+    const metadata = await db.collection('metadata').findOne({ _id: 'sync' });
+    const lock = await getActiveSyncLock(db);
+    const failureCount = await db.collection('syncFailures').countDocuments();
 
-  function traverse(objects) {
-    if (!Array.isArray(objects)) return;
+    res.json({
+      fileCount: metadata?.fileCount || 0,
+      objectCount: metadata?.objectCount || 0,
+      lastSync: metadata?.lastSync || null,
+      failureCount,
+      activeSync: lock
+        ? { source: lock.source, trigger: lock.trigger, startedAt: lock.acquiredAt }
+        : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    for (const obj of objects) {
-      const cleanEntry = { fileName };
+// API: Property catalog
+app.get('/api/properties', async (req, res) => {
+  try {
+    const catalog = await getPropertyCatalog(db);
 
-      for (const [key, value] of Object.entries(obj)) {
-        if (key === 'objects') continue;
-        if (typeof value === 'object' && value !== null) {
-          cleanEntry[key] = JSON.stringify(value);
-        } else {
-          cleanEntry[key] = value;
-        }
-      }
+    res.json({
+      count: catalog.length,
+      properties: catalog,
+    });
+  } catch (error) {
+    console.error('Properties error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      results.push(cleanEntry);
+// API: Source profiles
+app.get('/api/sources', async (req, res) => {
+  try {
+    const sources = await db
+      .collection('sources')
+      .find({})
+      .sort({ _id: 1 })
+      .toArray();
 
-      if (obj.type === 'group' && obj.objects) {
-        traverse(obj.objects);
-      }
+    res.json({
+      count: sources.length,
+      sources: sources.map(({ _id, ...rest }) => ({ name: _id, ...rest })),
+    });
+  } catch (error) {
+    console.error('Sources error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Create or update a source profile
+app.put('/api/sources/:name', async (req, res) => {
+  try {
+    const { name, ...profile } = normalizeSource({
+      ...req.body,
+      name: req.params.name,
+    });
+
+    // (Re)start the schedule from now
+    profile.nextSyncAt = profile.schedule ? nextRunAt(profile.schedule) : null;
+
+    // Replace the profile fields but keep its sync totals
+    await db.collection('sources').updateOne(
+      { _id: name },
+      {
+        $set: { ...profile, updatedAt: new Date().toISOString() },
+        $unset: profile.type === 's3' ? { directory: '' } : { bucket: '', prefix: '', region: '' },
+      },
+      { upsert: true },
+    );
+
+    res.json({ name, ...profile });
+  } catch (error) {
+    if (error instanceof SourceError) {
+      return res.status(400).json({ error: error.message });
     }
+    console.error('Source update error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
+
+// API: Delete a source profile and everything synced from it
+app.delete('/api/sources/:name', async (req, res) => {
+  try {
+    const source = req.params.name;
 
-  if (json.body && json.body.objects) {
-    traverse(json.body.objects);
+    const lock = await getActiveSyncLock(db);
+    if (lock && lock.source === source) {
+      return res
+        .status(409)
+        .json({ error: `Source "${source}" is being synced, try again later` });
+    }
+
+    const { deletedCount } = await db.collection('sources').deleteOne({ _id: source });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: `Unknown source "${source}"` });
+    }
+
+    const objects = await db.collection('objects').deleteMany({ source });
+    await db.collection('fileMetadata').deleteMany({ source });
+    await db.collection('presetVersions').deleteMany({ source });
+    await db.collection('syncFailures').deleteMany({ source });
+    await db.collection('violations').deleteMany({ source });
+    await db.collection('assetRefs').deleteMany({ source });
+    await db.collection('presets').deleteMany({ source });
+    await invalidatePropertyCatalog(db);
+
+    res.json({ success: true, deletedObjects: objects.deletedCount });
+  } catch (error) {
+    console.error('Source delete error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  return results;
+/**
+ * Report a sync job that failed to start
+ */
+function sendSyncStartError(res, error) {
+  if (error instanceof SourceError) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error instanceof SyncLockedError) {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error('Sync error:', error);
+  res.status(500).json({ error: error.message });
 }
 
 /**
- * List S3 files with metadata
+ * Wait for a sync job and answer with its outcome (blocking endpoints)
  */
-async function listS3Files() {
-  const files = [];
-  let continuationToken = null;
-
-  do {
-    const command = new ListObjectsV2Command({
-      Bucket: S3_BUCKET,
-      Prefix: S3_PREFIX,
-      ContinuationToken: continuationToken,
+async function sendSyncJobResult(res, job) {
+  const result = await job.finished;
+
+  if (job.status === 'completed') {
+    return res.json({
+      success: true,
+      ...result,
+      lastSync: new Date().toISOString(),
+    });
+  }
+  res
+    .status(job.status === 'cancelled' ? 409 : 500)
+    .json({ error: job.status === 'cancelled' ? 'Sync was cancelled' : job.error });
+}
+
+// API: Start a background sync job
+app.post('/api/sync/jobs', async (req, res) => {
+  try {
+    const job = await startSyncJob(db, {
+      source: req.body.source,
+      trigger: req.body.trigger || 'ui',
+      retryFailed: Boolean(req.body.retryFailed),
     });
 
-    const response = await s3Client.send(command);
-
-    for (const obj of response.Contents || []) {
-      const key = obj.Key;
-      const fileName = key.replace(S3_PREFIX, '');
-
-      if (
-        fileName.startsWith('template_') &&
-        !fileName.includes('school_') &&
-        fileName.endsWith('.json')
-      ) {
-        files.push({
-          key,
-          fileName,
-          lastModified: obj.LastModified.toISOString(),
-        });
+    res.status(202).json(describeJob(job));
+  } catch (error) {
+    sendSyncStartError(res, error);
+  }
+});
+
+// API: Status of a sync job ("current" is the running one)
+app.get('/api/sync/jobs/:id', async (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+      if (req.params.id !== 'current') {
+        return res.status(404).json({ error: 'Sync job not found' });
       }
+      // Nothing running here, but another process may hold the lock
+      const lock = await getActiveSyncLock(db);
+      return res.json({
+        job: null,
+        activeSync: lock
+          ? { source: lock.source, trigger: lock.trigger, startedAt: lock.acquiredAt }
+          : null,
+      });
     }
 
-    continuationToken = response.IsTruncated
-      ? response.NextContinuationToken
-      : null;
-  } while (continuationToken);
+    res.json({ job: describeJob(job) });
+  } catch (error) {
+    console.error('Sync job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  return files;
-}
+// API: Cancel a running sync job (stops after the batch in progress)
+app.post('/api/sync/jobs/:id/cancel', (req, res) => {
+  const job = getJob(req.params.id);
 
-/**
- * Download and parse a file from S3
- */
-async function downloadFromS3(key) {
-  const command = new GetObjectCommand({
-    Bucket: S3_BUCKET,
-    Key: key,
-  });
+  if (!job) {
+    return res.status(404).json({ error: 'Sync job not found' });
+  }
+  if (!cancelJob(job)) {
+    return res.status(409).json({ error: `Sync job is already ${job.status}` });
+  }
 
-  const response = await s3Client.send(command);
-  const bodyString = await response.Body.transformToString();
-  return JSON.parse(bodyString);
-}
+  res.json(describeJob(job));
+});
 
-/**
- * Sync from S3 to MongoDB (incremental)
- * @param {function} onProgress - callback for progress updates
- */
-async function syncFromS3(onProgress = () => {}) {
-  console.log('=== Starting S3 to MongoDB Sync ===');
-  const startTime = Date.now();
-
-  // Get S3 files
-  onProgress({ stage: 'listing', message: 'Listing S3 files...' });
-  console.log('Listing S3 files...');
-  const s3Files = await listS3Files();
-  console.log(`Found ${s3Files.length} files in S3`);
-  onProgress({ stage: 'listing', message: `Found ${s3Files.length} files in S3` });
-
-  // Get existing file metadata from MongoDB
-  const existingFiles = await db.collection('fileMetadata').find({}).toArray();
-  const existingMap = new Map(existingFiles.map((f) => [f.fileName, f]));
-
-  // Find files to sync
-  const filesToSync = [];
-  const s3FileNames = new Set();
-
-  for (const s3File of s3Files) {
-    s3FileNames.add(s3File.fileName);
-    const existing = existingMap.get(s3File.fileName);
-
-    if (!existing || existing.lastModified !== s3File.lastModified) {
-      filesToSync.push(s3File);
-    }
-  }
-
-  // Find files to delete (in DB but not in S3)
-  const filesToDelete = existingFiles
-    .filter((f) => !s3FileNames.has(f.fileName))
-    .map((f) => f.fileName);
-
-  console.log(`Files to sync: ${filesToSync.length}`);
-  console.log(`Files to delete: ${filesToDelete.length}`);
-  console.log(`Files unchanged: ${s3Files.length - filesToSync.length}`);
-  
-  onProgress({ 
-    stage: 'analyzing', 
-    message: `Files to sync: ${filesToSync.length} | Unchanged: ${s3Files.length - filesToSync.length} | To delete: ${filesToDelete.length}` 
+// API: Live progress of a sync job as Server-Sent Events. Any number of
+// clients can subscribe; disconnecting doesn't affect the sync.
+app.get('/api/sync/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Sync job not found' });
+  }
+
+  // Set up SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  let unsubscribe = () => {};
+  unsubscribe = subscribeJob(job, (event) => {
+    res.write(`data: ${JSON.stringify({ jobId: job.id, ...event })}\n\n`);
+
+    if (['done', 'error', 'cancelled'].includes(event.stage)) {
+      unsubscribe();
+      res.end();
+    }
   });
 
-  // Delete removed files
-  if (filesToDelete.length > 0) {
-    await db
-      .collection('objects')
-      .deleteMany({ fileName: { $in: filesToDelete } });
-    await db
-      .collection('fileMetadata')
-      .deleteMany({ fileName: { $in: filesToDelete } });
-    console.log(`Deleted ${filesToDelete.length} files`);
+  req.on('close', () => unsubscribe());
+});
+
+// API: Inbound S3 event notifications (direct or via SNS). Queues a sync of
+// just the changed keys, started now or as soon as the running sync ends.
+app.post('/api/sync/s3-events', express.json({ type: '*/*' }), async (req, res) => {
+  try {
+    const token = process.env.SYNC_EVENTS_TOKEN;
+    if (token && (req.get('X-Sync-Token') || req.query.token) !== token) {
+      return res.status(401).json({ error: 'Invalid sync token' });
+    }
+
+    const queued = await enqueueS3Event(db, req.body, { source: req.query.source });
+    const job = Object.keys(queued).length > 0 ? await drainSyncQueue(db) : null;
+
+    res.status(202).json({ queued, job: job ? describeJob(job) : null });
+  } catch (error) {
+    if (error instanceof SourceError || error instanceof SyntaxError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('S3 event error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Process new/changed files
-  let processedCount = 0;
-  let totalObjects = 0;
+// Keep POST for backward compatibility: runs a job and waits for it
+app.post('/api/sync', async (req, res) => {
+  let job;
+  try {
+    job = await startSyncJob(db, { source: req.body.source, trigger: 'api' });
+  } catch (error) {
+    return sendSyncStartError(res, error);
+  }
 
-  for (const file of filesToSync) {
-    try {
-      // Delete existing objects for this file
-      await db.collection('objects').deleteMany({ fileName: file.fileName });
+  await sendSyncJobResult(res, job);
+});
 
-      // Download and parse
-      const json = await downloadFromS3(file.key);
-      const objects = extractObjects(json, file.fileName);
+// API: Sync history (newest first, without per-file lists)
+app.get('/api/syncs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const query = {};
+    if (req.query.source) query.source = req.query.source;
 
-      // Insert objects
-      if (objects.length > 0) {
-        await db.collection('objects').insertMany(objects);
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (isNaN(since)) {
+        return res.status(400).json({ error: `Invalid date "${req.query.since}"` });
       }
+      query.startedAt = { $gte: since.toISOString() };
+    }
 
-      // Update file metadata
-      await db.collection('fileMetadata').updateOne(
-        { fileName: file.fileName },
+    const runs = await db
+      .collection('syncRuns')
+      .aggregate([
+        { $match: query },
+        { $sort: { startedAt: -1 } },
+        { $limit: limit },
         {
-          $set: {
-            fileName: file.fileName,
-            lastModified: file.lastModified,
-            objectCount: objects.length,
-            syncedAt: new Date().toISOString(),
+          $project: {
+            source: 1,
+            trigger: 1,
+            status: 1,
+            startedAt: 1,
+            finishedAt: 1,
+            elapsed: 1,
+            error: 1,
+            totals: 1,
+            addedCount: { $size: '$added' },
+            changedCount: { $size: '$changed' },
+            deletedCount: { $size: '$deleted' },
+            // Runs from before failures were recorded have no list
+            failedCount: { $size: { $ifNull: ['$failed', []] } },
           },
         },
-        { upsert: true },
-      );
+      ])
+      .toArray();
+
+    res.json({ count: runs.length, runs });
+  } catch (error) {
+    console.error('Sync history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: File-level changes across sync runs, e.g. everything since a date
+app.get('/api/syncs/changes', async (req, res) => {
+  try {
+    const query = { status: { $ne: 'running' } };
+    if (req.query.source) query.source = req.query.source;
+
+    if (req.query.since) {
+      const since = new Date(req.query.since);
+      if (isNaN(since)) {
+        return res.status(400).json({ error: `Invalid date "${req.query.since}"` });
+      }
+      query.startedAt = { $gte: since.toISOString() };
+    }
+
+    const runs = await db
+      .collection('syncRuns')
+      .find(query)
+      .sort({ startedAt: 1 })
+      .toArray();
+
+    const fileFilter = (req.query.fileName || '').toLowerCase();
+    const changes = [];
 
-      totalObjects += objects.length;
-      processedCount++;
-
-      // Send progress update every 10 files or on last file
-      if (processedCount % 10 === 0 || processedCount === filesToSync.length) {
-        const pct = Math.round((processedCount / filesToSync.length) * 100);
-        onProgress({ 
-          stage: 'syncing', 
-          message: `Syncing: ${processedCount}/${filesToSync.length} files (${pct}%)`,
-          processed: processedCount,
-          total: filesToSync.length
-        });
-        console.log(`Processed ${processedCount}/${filesToSync.length} files...`);
+    for (const run of runs) {
+      for (const change of ['added', 'changed', 'deleted']) {
+        for (const file of run[change]) {
+          if (fileFilter && !file.fileName.toLowerCase().includes(fileFilter)) continue;
+          changes.push({
+            syncId: run._id,
+            source: run.source,
+            syncedAt: run.startedAt,
+            change,
+            ...file,
+          });
+        }
       }
-    } catch (error) {
-      console.error(`Error processing ${file.fileName}:`, error.message);
     }
+
+    res.json({ runCount: runs.length, count: changes.length, changes });
+  } catch (error) {
+    console.error('Sync changes error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Update sync metadata
-  const objectCount = await db.collection('objects').countDocuments();
-  const fileCount = await db.collection('fileMetadata').countDocuments();
+// API: Files whose last sync attempt failed, with the stage and error
+app.get('/api/syncs/failures', async (req, res) => {
+  try {
+    const query = req.query.source ? { source: req.query.source } : {};
+    const failures = await db
+      .collection('syncFailures')
+      .find(query, { projection: { _id: 0 } })
+      .sort({ source: 1, fileName: 1 })
+      .toArray();
 
-  await db.collection('metadata').updateOne(
-    { _id: 'sync' },
-    {
-      $set: {
-        lastSync: new Date().toISOString(),
-        fileCount,
-        objectCount,
-      },
-    },
-    { upsert: true },
-  );
-
-  const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-  console.log(`\n✓ Sync complete in ${elapsed}s`);
-  console.log(`  Processed: ${processedCount} files, ${totalObjects} objects`);
-  console.log(`  Total in DB: ${fileCount} files, ${objectCount} objects`);
-  
-  onProgress({ 
-    stage: 'complete', 
-    message: `✓ Sync complete in ${elapsed}s - ${processedCount} files processed`,
-    elapsed
-  });
+    res.json({ count: failures.length, failures });
+  } catch (error) {
+    console.error('Sync failures error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  return { processedCount, totalObjects, fileCount, objectCount };
-}
+// API: Re-sync only the files that failed last time
+app.post('/api/syncs/failures/retry', async (req, res) => {
+  let job;
+  try {
+    job = await startSyncJob(db, {
+      source: req.body.source,
+      trigger: 'retry',
+      retryFailed: true,
+    });
+  } catch (error) {
+    return sendSyncStartError(res, error);
+  }
 
-// API: Get status
-app.get('/api/status', async (req, res) => {
+  await sendSyncJobResult(res, job);
+});
+
+// API: One sync run with its file-level change log
+app.get('/api/syncs/:id', async (req, res) => {
   try {
-    const metadata = await db.collection('metadata').findOne({ _id: 'sync' });
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid sync id' });
+    }
+
+    const run = await db
+      .collection('syncRuns')
+      .findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Sync run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Synced files
+app.get('/api/files', async (req, res) => {
+  try {
+    const query = req.query.source ? { source: req.query.source } : {};
+    const files = await db
+      .collection('fileMetadata')
+      .find(query, { projection: { _id: 0 } })
+      .sort({ source: 1, fileName: 1 })
+      .toArray();
+
+    res.json({ count: files.length, files });
+  } catch (error) {
+    console.error('Files error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Stored versions of a preset (newest first)
+app.get('/api/presets/:fileName/versions', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const source = req.query.source || DEFAULT_SOURCE.name;
+
+    const versions = await db
+      .collection('presetVersions')
+      .find({ source, fileName }, { projection: { content: 0 } })
+      .sort({ lastModified: -1 })
+      .toArray();
 
+    res.json({ source, fileName, count: versions.length, versions });
+  } catch (error) {
+    console.error('Versions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Object-level diff between two versions of a preset.
+// Defaults to the latest version against the one before it.
+app.get('/api/presets/:fileName/diff', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const { from, to } = req.query;
+    const source = req.query.source || DEFAULT_SOURCE.name;
+
+    for (const id of [from, to]) {
+      if (id && !ObjectId.isValid(id)) {
+        return res.status(400).json({ error: `Invalid version id "${id}"` });
+      }
+    }
+
+    const versions = db.collection('presetVersions');
+    const latest = await versions
+      .find({ source, fileName })
+      .sort({ lastModified: -1 })
+      .limit(2)
+      .toArray();
+
+    const toVersion = to
+      ? await versions.findOne({ _id: new ObjectId(to), source, fileName })
+      : latest[0];
+    const fromVersion = from
+      ? await versions.findOne({ _id: new ObjectId(from), source, fileName })
+      : latest[1];
+
+    if (!toVersion || !fromVersion) {
+      return res.status(404).json({
+        error: `Need two stored versions of ${fileName} to diff`,
+      });
+    }
+
+    const diff = diffObjects(
+      extractObjects(JSON.parse(fromVersion.content), fileName, source),
+      extractObjects(JSON.parse(toVersion.content), fileName, source),
+    );
+
+    const describe = ({ content, ...version }) => version;
     res.json({
-      fileCount: metadata?.fileCount || 0,
-      objectCount: metadata?.objectCount || 0,
-      lastSync: metadata?.lastSync || null,
+      source,
+      fileName,
+      from: describe(fromVersion),
+      to: describe(toVersion),
+      ...diff,
     });
   } catch (error) {
+    console.error('Diff error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// API: Sync from S3 with Server-Sent Events for progress
-app.get('/api/sync', async (req, res) => {
-  // Set up SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
+// API: Object-level comparison of two different presets (e.g. a template
+// and its fork), each at its latest synced version
+app.get('/api/compare', async (req, res) => {
+  try {
+    const sides = ['left', 'right'].map((side) => ({
+      source: req.query[`${side}Source`] || req.query.source || DEFAULT_SOURCE.name,
+      fileName: req.query[side],
+    }));
+    if (sides.some((side) => !side.fileName)) {
+      return res.status(400).json({ error: 'Pick two presets to compare (left and right)' });
+    }
+
+    const loaded = [];
+    for (const { source, fileName } of sides) {
+      const metadata = await db.collection('fileMetadata').findOne({ source, fileName });
+      const [version] = metadata
+        ? await db
+            .collection('presetVersions')
+            .find({ source, fileName })
+            .sort({ lastModified: -1 })
+            .limit(1)
+            .toArray()
+        : [];
+
+      if (!version) {
+        return res.status(404).json({ error: `No synced version of ${fileName} in ${source}` });
+      }
+      loaded.push({ source, fileName, version });
+    }
+
+    const [left, right] = loaded;
+    const diff = diffObjects(
+      extractObjects(JSON.parse(left.version.content), left.fileName, left.source),
+      extractObjects(JSON.parse(right.version.content), right.fileName, right.source),
+    );
+
+    const describe = ({ source, fileName, version: { content, ...version } }) => ({
+      source,
+      fileName,
+      ...version,
+    });
+    res.json({ left: describe(left), right: describe(right), ...diff });
+  } catch (error) {
+    console.error('Compare error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Render a preset (latest version, or ?version=) as SVG or PNG.
+// ?highlight= outlines tree paths (comma-separated); ?search= (JSON
+// { filters, scope, text }) also outlines the objects a search matches in it.
+app.get('/api/presets/:fileName/preview', async (req, res) => {
+  try {
+    const source = req.query.source || DEFAULT_SOURCE.name;
+    const { fileName } = req.params;
+    const format = req.query.format || 'svg';
+    if (!['svg', 'png'].includes(format)) {
+      return res.status(400).json({ error: 'format must be svg or png' });
+    }
+
+    const versionQuery = { source, fileName };
+    if (req.query.version) {
+      if (!ObjectId.isValid(req.query.version)) {
+        return res.status(400).json({ error: 'Invalid version id' });
+      }
+      versionQuery._id = new ObjectId(req.query.version);
+    }
+    const [version] = await db
+      .collection('presetVersions')
+      .find(versionQuery)
+      .sort({ lastModified: -1 })
+      .limit(1)
+      .toArray();
+
+    if (!version) {
+      return res.status(404).json({ error: `No stored version of ${fileName}` });
+    }
+
+    const selected = toList(req.query.highlight);
+
+    let matched = [];
+    if (req.query.search) {
+      let search;
+      try {
+        search = JSON.parse(req.query.search);
+      } catch (error) {
+        return res.status(400).json({ error: 'search must be JSON' });
+      }
+      if (!search || typeof search !== 'object' || Array.isArray(search)) {
+        return res.status(400).json({ error: 'search must be a JSON object' });
+      }
+      const query = await resolvePresetFilters(
+        db,
+        buildQuery({ filters: search.filters, scope: search.scope, text: search.text }),
+      );
+      const objects = await db
+        .collection('objects')
+        .find({ $and: [{ source, fileName }, query] })
+        .project({ 'tree.path': 1 })
+        .toArray();
+      matched = objects.map((obj) => obj.tree.path);
+    }
+
+    const options = {
+      width: parseInt(req.query.width) || undefined,
+      selected,
+      matched,
+    };
+
+    if (format === 'png') {
+      res.type('png').send(renderPng(JSON.parse(version.content), options));
+    } else {
+      res.type('svg').send(renderSvg(JSON.parse(version.content), options));
+    }
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Saved queries (newest first), optionally by owner
+app.get('/api/queries', async (req, res) => {
+  try {
+    const query = req.query.owner ? { owner: req.query.owner } : {};
+    const queries = await db
+      .collection('savedQueries')
+      .find(query)
+      .sort({ updatedAt: -1 })
+      .toArray();
+
+    res.json({ count: queries.length, queries });
+  } catch (error) {
+    console.error('Saved queries error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: One saved query
+app.get('/api/queries/:id', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid query id' });
+    }
+
+    const saved = await db
+      .collection('savedQueries')
+      .findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!saved) {
+      return res.status(404).json({ error: 'Saved query not found' });
+    }
+
+    res.json(saved);
+  } catch (error) {
+    console.error('Saved query error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Save a query
+app.post('/api/queries', async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const saved = {
+      _id: new ObjectId(),
+      ...normalizeSavedQuery(req.body),
+      createdAt: now,
+      updatedAt: now,
+    };
 
-  const sendEvent = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
+    await db.collection('savedQueries').insertOne(saved);
+    res.status(201).json(saved);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: `A query named "${req.body.name}" already exists` });
+    }
+    console.error('Save query error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// API: Update a saved query
+app.put('/api/queries/:id', async (req, res) => {
   try {
-    const result = await syncFromS3((progress) => {
-      sendEvent(progress);
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid query id' });
+    }
+
+    const saved = await db.collection('savedQueries').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { ...normalizeSavedQuery(req.body), updatedAt: new Date().toISOString() } },
+      { returnDocument: 'after' },
+    );
+
+    if (!saved) {
+      return res.status(404).json({ error: 'Saved query not found' });
+    }
+
+    res.json(saved);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: `A query named "${req.body.name}" already exists` });
+    }
+    console.error('Update query error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Delete a saved query
+app.delete('/api/queries/:id', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid query id' });
+    }
+
+    const { deletedCount } = await db
+      .collection('savedQueries')
+      .deleteOne({ _id: new ObjectId(req.params.id) });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: 'Saved query not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete query error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Lint rules, with their current violation counts
+app.get('/api/rules', async (req, res) => {
+  try {
+    const rules = await db.collection('rules').find({}).sort({ name: 1 }).toArray();
+    const counts = await db
+      .collection('violations')
+      .aggregate([
+        {
+          $group: {
+            _id: '$ruleId',
+            violationCount: { $sum: 1 },
+            files: { $addToSet: { source: '$source', fileName: '$fileName' } },
+          },
+        },
+        { $project: { violationCount: 1, presetCount: { $size: '$files' } } },
+      ])
+      .toArray();
+    const countsById = new Map(counts.map((count) => [count._id.toHexString(), count]));
+
+    res.json({
+      count: rules.length,
+      rules: rules.map((rule) => {
+        const count = countsById.get(rule._id.toHexString());
+        return {
+          ...rule,
+          violationCount: count ? count.violationCount : 0,
+          presetCount: count ? count.presetCount : 0,
+          // More violations than are stored in some source
+          truncated: (rule.truncatedSources || []).length > 0,
+        };
+      }),
     });
+  } catch (error) {
+    console.error('Rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    sendEvent({
-      stage: 'done',
-      success: true,
-      ...result,
-      lastSync: new Date().toISOString(),
+// API: Add a lint rule and check it against every source
+app.post('/api/rules', async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const rule = {
+      _id: new ObjectId(),
+      ...normalizeRule(req.body),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await db.collection('rules').insertOne(rule);
+    const { violationCount } = await runRules(db, { ruleId: rule._id });
+
+    res.status(201).json({ ...rule, violationCount });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof RulesLockedError) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: `A rule named "${req.body.name}" already exists` });
+    }
+    console.error('Add rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Update a lint rule and re-check it
+app.put('/api/rules/:id', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid rule id' });
+    }
+
+    const rule = await db.collection('rules').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { ...normalizeRule(req.body), updatedAt: new Date().toISOString() } },
+      { returnDocument: 'after' },
+    );
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    // A disabled rule just has its violations cleared
+    const { violationCount } = await runRules(db, { ruleId: rule._id });
+
+    res.json({ ...rule, violationCount });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof RulesLockedError) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: `A rule named "${req.body.name}" already exists` });
+    }
+    console.error('Update rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Delete a lint rule and its violations
+app.delete('/api/rules/:id', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid rule id' });
+    }
+
+    if (!(await deleteRule(db, new ObjectId(req.params.id)))) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof RulesLockedError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Delete rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Re-check every rule (or one source) without syncing
+app.post('/api/rules/run', async (req, res) => {
+  try {
+    const source = req.body.source || undefined;
+    const result = await runRules(db, { source });
+    res.json(result);
+  } catch (error) {
+    if (error instanceof RulesLockedError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Run rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Preset health, worst presets first
+app.get('/api/health', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+    const health = await getHealth(db, { source: req.query.source, limit });
+
+    res.json({ count: health.presets.length, ...health });
+  } catch (error) {
+    console.error('Health error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Rule violations in one preset, most severe first
+app.get('/api/health/:fileName', async (req, res) => {
+  try {
+    const source = req.query.source || DEFAULT_SOURCE.name;
+    const violations = await db
+      .collection('violations')
+      .find({ source, fileName: req.params.fileName })
+      .limit(1000)
+      .toArray();
+
+    violations.sort(
+      (a, b) =>
+        SEVERITIES[b.severity] - SEVERITIES[a.severity] ||
+        a.ruleName.localeCompare(b.ruleName),
+    );
+
+    res.json({
+      source,
+      fileName: req.params.fileName,
+      count: violations.length,
+      violations,
     });
   } catch (error) {
-    console.error('Sync error:', error);
-    sendEvent({ stage: 'error', error: error.message });
-  } finally {
-    res.end();
+    console.error('Preset health error:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Keep POST for backward compatibility
-app.post('/api/sync', async (req, res) => {
+// API: Asset report, broken and unused assets first
+app.get('/api/assets', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 1000, 10000);
+    const report = await getAssetReport(db, {
+      status: req.query.status || undefined,
+      search: req.query.q || undefined,
+      limit,
+    });
+
+    res.json({ count: report.assets.length, ...report });
+  } catch (error) {
+    console.error('Assets error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Presets and objects referencing an asset URL
+app.get('/api/assets/refs', async (req, res) => {
+  try {
+    if (!req.query.url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const refs = await db
+      .collection('assetRefs')
+      .find({ url: req.query.url })
+      .sort({ source: 1, fileName: 1, path: 1 })
+      .limit(1000)
+      .toArray();
+
+    res.json({ url: req.query.url, count: refs.length, refs });
+  } catch (error) {
+    console.error('Asset refs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Verify asset references (all of them with { all: true })
+app.post('/api/assets/check', async (req, res) => {
+  try {
+    const result = await runAssetCheck(db, { all: Boolean(req.body.all) });
+    res.json(result);
+  } catch (error) {
+    if (error instanceof AssetCheckRunningError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Asset check error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Assets used by one preset, with their status
+app.get('/api/presets/:fileName/assets', async (req, res) => {
   try {
-    const result = await syncFromS3();
+    const source = req.query.source || DEFAULT_SOURCE.name;
+    const refs = await db
+      .collection('assetRefs')
+      .find({ source, fileName: req.params.fileName })
+      .sort({ path: 1, property: 1 })
+      .toArray();
+
+    const assets = await db
+      .collection('assets')
+      .find({ _id: { $in: [...new Set(refs.map((ref) => ref.url))] } })
+      .toArray();
+    const statusByUrl = new Map(assets.map((asset) => [asset._id, asset.status]));
 
     res.json({
-      success: true,
-      ...result,
-      lastSync: new Date().toISOString(),
+      source,
+      fileName: req.params.fileName,
+      count: refs.length,
+      refs: refs.map((ref) => ({ ...ref, status: statusByUrl.get(ref.url) || 'unchecked' })),
     });
   } catch (error) {
-    console.error('Sync error:', error);
+    console.error('Preset assets error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Bulk edits, newest first
+app.get('/api/bulk-edits', async (req, res) => {
+  try {
+    const edits = await db
+      .collection('bulkEdits')
+      .find({})
+      .project({ files: 0 })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 500))
+      .toArray();
+
+    res.json({ count: edits.length, edits });
+  } catch (error) {
+    console.error('Bulk edits error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: One bulk edit with its per-preset status
+app.get('/api/bulk-edits/:id', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid bulk edit id' });
+    }
+
+    const edit = await db
+      .collection('bulkEdits')
+      .findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!edit) {
+      return res.status(404).json({ error: 'Bulk edit not found' });
+    }
+
+    res.json(edit);
+  } catch (error) {
+    console.error('Bulk edit error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Plan a bulk edit of the objects a search matches (dry run with diffs)
+app.post('/api/bulk-edits', async (req, res) => {
+  try {
+    const { filters, scope, text, transforms } = req.body;
+    const plan = await planBulkEdit(db, { filters, scope, text, transforms });
+    res.status(201).json(plan);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Bulk edit plan error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Write a planned bulk edit back to its sources (originals are backed up)
+app.post('/api/bulk-edits/:id/apply', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid bulk edit id' });
+    }
+
+    const edit = await applyBulkEdit(db, new ObjectId(req.params.id));
+    res.json(edit);
+  } catch (error) {
+    if (error instanceof BulkEditError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Bulk edit apply error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Parse a text query (e.g. `type:image AND (width>500 OR scaleX>1)`)
+// into the filters tree /api/search takes. Syntax errors are 400s with the
+// 0-based `position` of the problem.
+app.post('/api/filters/parse', async (req, res) => {
+  try {
+    const filters = parseFilterText(req.body.text);
+    // Catch what the syntax allows but a search would reject
+    buildQuery({ filters });
+    res.json({ filters });
+  } catch (error) {
+    if (error instanceof FilterSyntaxError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Filter parse error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Text query for a filters tree (the reverse of /api/filters/parse)
+app.post('/api/filters/format', async (req, res) => {
+  try {
+    res.json({ text: formatFilterText(req.body.filters) });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Filter format error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// API: Search objects
+// API: Search objects, one sorted page at a time. With mode "presets",
+// one row per preset (columns: fileName, source, matchCount and any
+// selected preset.* properties): every preset matching when the filters
+// are all on preset.* properties, otherwise those containing matching
+// objects. Free `text` matches are ranked by relevance unless another
+// sort is given.
 app.post('/api/search', async (req, res) => {
   try {
-    const { filters, columns } = req.body;
+    const { filters, columns, scope, text } = req.body;
 
     // Build MongoDB query from filters
-    const query = {};
+    const query = buildQuery({ filters, scope, text });
+    const mode = normalizeMode(req.body.mode);
+    const sort = normalizeSort(req.body.sort);
+    const { offset, limit } = normalizePage(req.body);
 
-    // Helper to escape regex special characters
-    const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    
-    // Helper to parse value (handle booleans and numbers)
-    const parseValue = (val) => {
-      const lower = val.toLowerCase();
-      if (lower === 'true') return true;
-      if (lower === 'false') return false;
-      if (!isNaN(val) && val.trim() !== '') return Number(val);
-      return null; // not a special type
-    };
+    let selectedColumns;
+    let docs;
+    let totalCount;
 
-    if (filters && filters.length > 0) {
-      for (const filter of filters) {
-        if (filter.property && filter.value) {
-          const parsedValue = parseValue(filter.value);
-          
-          if (filter.operator === 'exact') {
-            if (parsedValue !== null) {
-              // Boolean or number - exact match
-              query[filter.property] = parsedValue;
-            } else {
-              // String - case-insensitive exact match
-              const escapedValue = escapeRegex(filter.value);
-              query[filter.property] = { $regex: `^${escapedValue}$`, $options: 'i' };
-            }
-          } else {
-            // "includes" operator
-            if (parsedValue !== null) {
-              // Boolean/number - exact match (can't do "includes" on non-strings)
-              query[filter.property] = parsedValue;
-            } else {
-              // String - case-insensitive contains
-              const escapedValue = escapeRegex(filter.value);
-              query[filter.property] = { $regex: escapedValue, $options: 'i' };
-            }
-          }
-        }
-      }
-    }
+    if (mode === 'presets') {
+      selectedColumns = presetColumns(columns);
+      ({ docs, totalCount } = await searchPresets(db, {
+        query,
+        sort,
+        offset,
+        limit,
+      }));
+    } else {
+      // Select columns (projection)
+      selectedColumns =
+        columns && columns.length > 0 ? columns : DEFAULT_COLUMNS;
+      const projection = buildProjection(selectedColumns);
+      // Where each row comes from, for previews (unless whole `tree` is selected)
+      projection.source = 1;
+      projection.fileName = 1;
+      if (!projection.tree) projection['tree.path'] = 1;
 
-    // Select columns (projection)
-    const selectedColumns =
-      columns && columns.length > 0
-        ? columns
-        : ['fileName', 'conrolTitle', 'type', 'className'];
+      const ranked = Boolean(query.$text) && sort.length === 0;
+      if (query.$text) projection._score = TEXT_SCORE;
 
-    const projection = { _id: 0 };
-    for (const col of selectedColumns) {
-      projection[col] = 1;
+      // Execute query
+      const objectQuery = await resolvePresetFilters(db, query);
+      [docs, totalCount] = await Promise.all([
+        findObjects(db.collection('objects'), objectQuery, {
+          projection,
+          sort: ranked ? { _score: TEXT_SCORE, _id: 1 } : buildSort(sort),
+          offset,
+          limit,
+        }).toArray(),
+        db.collection('objects').countDocuments(objectQuery),
+      ]);
     }
 
-    // Execute query
-    const results = await db
-      .collection('objects')
-      .find(query)
-      .project(projection)
-      .limit(10000) // Safety limit
-      .toArray();
+    const { columns: flatColumns, rows } = flattenResults(docs, selectedColumns);
 
     res.json({
-      count: results.length,
-      columns: selectedColumns,
-      results,
+      mode,
+      count: rows.length,
+      totalCount,
+      offset,
+      limit,
+      hasMore: offset + rows.length < totalCount,
+      sort,
+      columns: flatColumns,
+      results: rows,
+      locations: docs.map((doc) => ({
+        source: doc.source,
+        fileName: doc.fileName,
+        path: doc.tree ? doc.tree.path : undefined,
+        score: doc._score,
+      })),
+      // What the client highlights for a text search
+      highlight: query.$text ? parseTextSearch(text) : null,
     });
   } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Search error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// API: Group-by counts, numeric stats and distinct values
+app.post('/api/aggregate', async (req, res) => {
+  try {
+    const { filters, scope, text, groupBy, numeric, distinct, limit } = req.body;
+
+    const query = await resolvePresetFilters(db, buildQuery({ filters, scope, text }));
+    const result = await aggregateObjects(db.collection('objects'), {
+      query,
+      groupBy,
+      numeric,
+      distinct,
+      limit,
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Aggregate error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Typography and color inventory of the objects a search matches
+// (all objects without filters): font family/weight/size combinations and
+// normalized colors with usage counts and the presets using them
+app.post('/api/inventory', async (req, res) => {
+  try {
+    const { filters, scope, text } = req.body;
+    const query = await resolvePresetFilters(db, buildQuery({ filters, scope, text }));
+    res.json(await buildInventory(db.collection('objects'), { query }));
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Inventory error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Objects using one inventory entry ({ kind: font|color, key })
+app.post('/api/inventory/objects', async (req, res) => {
+  try {
+    const { filters, scope, text, kind, key } = req.body;
+    const query = await resolvePresetFilters(db, buildQuery({ filters, scope, text }));
+    const result = await findInventoryObjects(db.collection('objects'), { query, kind, key });
+    res.json({ kind, key, ...result });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Inventory objects error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Stream the full result of a search as CSV, NDJSON or XLSX
+app.post('/api/export', async (req, res) => {
+  try {
+    // Form submissions (used for browser downloads) send the payload as a JSON string
+    const payload =
+      typeof req.body.payload === 'string'
+        ? JSON.parse(req.body.payload)
+        : req.body;
+    const { filters, columns, scope, text, format = 'csv' } = payload;
+    if (normalizeMode(payload.mode) === 'presets') {
+      throw new QueryError('Exports have one row per object; search by objects to export');
+    }
+
+    const query = await resolvePresetFilters(db, buildQuery({ filters, scope, text }));
+    const sort = normalizeSort(payload.sort);
+    const selectedColumns =
+      columns && columns.length > 0 ? columns : DEFAULT_COLUMNS;
+
+    await exportObjects(
+      db.collection('objects'),
+      { query, columns: selectedColumns, format, sort },
+      res,
+    );
+  } catch (error) {
+    console.error('Export error:', error);
+
+    // Already streaming: abort so the download fails instead of truncating
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    if (error instanceof QueryError || error instanceof SyntaxError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Start server
 async function start() {
   try {
     // Connect to MongoDB
     console.log('Connecting to MongoDB...');
     await mongoClient.connect();
-    db = mongoClient.db('presets');
+    db = mongoClient.db(DB_NAME);
     console.log('✓ Connected to MongoDB');
 
-    // Create indexes for faster search
-    await db.collection('objects').createIndex({ fileName: 1 });
-    await db
-      .collection('objects')
-      .createIndex({ conrolTitle: 'text', type: 'text', className: 'text' });
+    // Migrate old records and create indexes for faster search
+    await prepareDatabase(db);
     console.log('✓ Indexes created');
 
+    // Runs left "running" by a previous process never finished;
+    // the next sync of their source resumes them
+    await markInterruptedRuns(db);
+
+    // Scheduled syncs and queued S3 events
+    startScheduler(db);
+
     // Start server
     app.listen(PORT, () => {
       console.log(`\n🚀 Preset Analyzer running at http://localhost:${PORT}\n`);